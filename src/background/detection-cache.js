@@ -0,0 +1,136 @@
+// Detection Cache
+// Persists inference results in IndexedDB so the same avatars, thumbnails and
+// CDN images are analyzed once, not on every page load in every tab. Entries
+// are keyed by resolved image URL plus a fingerprint of the settings that
+// influence detection, and evicted least-recently-used.
+
+const DB_NAME = 'halalvision-cache';
+const DB_VERSION = 1;
+const STORE = 'detections';
+
+export const CACHE_LIMITS = {
+    maxEntries: 5000,
+    maxBytes: 50 * 1024 * 1024,
+    ttlMs: 7 * 24 * 60 * 60 * 1000
+};
+
+// Run eviction after this many writes rather than on every one
+const EVICT_EVERY_WRITES = 25;
+
+let dbPromise = null;
+let writesSinceEviction = 0;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+                store.createIndex('lastAccess', 'lastAccess');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function cacheKey(url, fingerprint) {
+    return `${fingerprint}|${url}`;
+}
+
+// Cached result for an image, or null on a miss or expired entry
+export async function getCachedDetection(url, fingerprint) {
+    const db = await openDatabase();
+    const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+    const entry = await promisify(store.get(cacheKey(url, fingerprint)));
+    if (!entry) return null;
+
+    const now = Date.now();
+    if (now - entry.createdAt > CACHE_LIMITS.ttlMs) {
+        store.delete(entry.key);
+        return null;
+    }
+
+    entry.lastAccess = now;
+    store.put(entry);
+    return entry.result;
+}
+
+export async function putCachedDetection(url, fingerprint, result) {
+    const db = await openDatabase();
+    const now = Date.now();
+    const entry = {
+        key: cacheKey(url, fingerprint),
+        url,
+        result,
+        size: JSON.stringify(result).length,
+        createdAt: now,
+        lastAccess: now
+    };
+
+    await promisify(db.transaction(STORE, 'readwrite').objectStore(STORE).put(entry));
+
+    if (++writesSinceEviction >= EVICT_EVERY_WRITES) {
+        writesSinceEviction = 0;
+        await evictEntries();
+    }
+}
+
+// Walk entries from most to least recently used; everything past the entry
+// or byte limit, or older than the TTL, is deleted
+export async function evictEntries() {
+    const db = await openDatabase();
+    const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+    const now = Date.now();
+    let count = 0;
+    let bytes = 0;
+
+    await new Promise((resolve, reject) => {
+        const request = store.index('lastAccess').openCursor(null, 'prev');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+
+            const entry = cursor.value;
+            if (now - entry.createdAt > CACHE_LIMITS.ttlMs) {
+                cursor.delete();
+            } else {
+                count++;
+                bytes += entry.size || 0;
+                if (count > CACHE_LIMITS.maxEntries || bytes > CACHE_LIMITS.maxBytes) {
+                    cursor.delete();
+                }
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export async function clearDetectionCache() {
+    const db = await openDatabase();
+    await promisify(db.transaction(STORE, 'readwrite').objectStore(STORE).clear());
+}
+
+export async function getCacheStats() {
+    const db = await openDatabase();
+    const entries = await promisify(db.transaction(STORE, 'readonly').objectStore(STORE).getAll());
+    return {
+        entries: entries.length,
+        bytes: entries.reduce((total, entry) => total + (entry.size || 0), 0)
+    };
+}
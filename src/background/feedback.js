@@ -0,0 +1,88 @@
+// Feedback Reports
+// Blurred images the user says were wrong, and images they say were missed,
+// kept in local storage for review in the options page. A report holds the
+// image URL, a small thumbnail and the raw model scores, and once reviewed
+// the user's label, so labeled reports can be exported as a dataset for
+// tuning thresholds:
+//   { id, kind: 'false-positive' | 'false-negative', imageUrl, pageUrl,
+//     thumbnail, detection, settings, label, createdAt }
+
+const REPORTS_KEY = 'feedbackReports';
+const MAX_REPORTS = 200;
+
+export const FEEDBACK_KINDS = ['false-positive', 'false-negative'];
+export const FEEDBACK_LABELS = ['male', 'female', 'mixed', 'none'];
+
+let pendingUpdate = Promise.resolve();
+
+async function readReports() {
+    const { [REPORTS_KEY]: reports } = await chrome.storage.local.get(REPORTS_KEY);
+    return Array.isArray(reports) ? reports : [];
+}
+
+// One update at a time, so reports from several tabs cannot drop each other
+function updateReports(change) {
+    pendingUpdate = pendingUpdate.then(async () => {
+        const reports = await readReports();
+        const result = change(reports);
+        await chrome.storage.local.set({ [REPORTS_KEY]: reports });
+        return result;
+    });
+    const result = pendingUpdate;
+    pendingUpdate = pendingUpdate.catch(() => {});
+    return result;
+}
+
+export async function getReports() {
+    await pendingUpdate;
+    return readReports();
+}
+
+export function addReport(report) {
+    if (!FEEDBACK_KINDS.includes(report?.kind)) {
+        return Promise.reject(new Error('Unknown report kind'));
+    }
+
+    const entry = {
+        id: crypto.randomUUID(),
+        kind: report.kind,
+        imageUrl: String(report.imageUrl || ''),
+        pageUrl: String(report.pageUrl || ''),
+        thumbnail: typeof report.thumbnail === 'string' ? report.thumbnail : null,
+        detection: report.detection || null,
+        settings: report.settings || null,
+        label: null,
+        createdAt: Date.now()
+    };
+
+    return updateReports(reports => {
+        reports.push(entry);
+        // The oldest reports go first once the queue is full
+        reports.splice(0, Math.max(0, reports.length - MAX_REPORTS));
+        return entry;
+    });
+}
+
+// label: one of FEEDBACK_LABELS, or null to clear it
+export function labelReport(id, label) {
+    if (label !== null && !FEEDBACK_LABELS.includes(label)) {
+        return Promise.reject(new Error('Unknown label'));
+    }
+    return updateReports(reports => {
+        const report = reports.find(entry => entry.id === id);
+        if (report) report.label = label;
+    });
+}
+
+export function removeReport(id) {
+    return updateReports(reports => {
+        const index = reports.findIndex(entry => entry.id === id);
+        if (index !== -1) reports.splice(index, 1);
+    });
+}
+
+export function clearReports() {
+    return updateReports(reports => {
+        reports.length = 0;
+    });
+}
@@ -0,0 +1,62 @@
+// Image Rules
+// Persistent per-image choices made from the context menu. Content scripts
+// apply them before any inference. Kept in local storage, since URL lists
+// outgrow sync storage quickly:
+//   { urls: { [imageUrl]: 'blur' | 'allow' }, hosts: { [hostname]: 'blur' } }
+// A rule for the exact URL wins over one for its host.
+
+const RULES_KEY = 'imageRules';
+const MAX_URL_RULES = 5000;
+
+let pendingUpdate = Promise.resolve();
+
+async function readRules() {
+    const { [RULES_KEY]: rules } = await chrome.storage.local.get(RULES_KEY);
+    return {
+        urls: { ...rules?.urls },
+        hosts: { ...rules?.hosts }
+    };
+}
+
+export async function getImageRules() {
+    await pendingUpdate;
+    return readRules();
+}
+
+// Whether a change drops protection: allowing an image, or removing or
+// replacing a blur rule
+export function isLoweringImageRule(rules, scope, key, action) {
+    const current = (scope === 'host' ? rules.hosts : rules.urls)[key];
+    return action === 'allow' || (current === 'blur' && action !== 'blur');
+}
+
+// scope: 'url' or 'host'. action: 'blur', 'allow' (URLs only), or null to remove
+export function setImageRule(scope, key, action) {
+    const update = async () => {
+        const rules = await readRules();
+        const list = scope === 'host' ? rules.hosts : rules.urls;
+
+        delete list[key];
+        if (action) list[key] = action;
+
+        // The oldest URL rules go first once the list is full
+        const urls = Object.keys(rules.urls);
+        urls.slice(0, Math.max(0, urls.length - MAX_URL_RULES)).forEach(url => delete rules.urls[url]);
+
+        await chrome.storage.local.set({ [RULES_KEY]: rules });
+    };
+
+    // One update at a time, so two quick menu clicks cannot drop each other's rule
+    pendingUpdate = pendingUpdate.then(update);
+    const result = pendingUpdate;
+    pendingUpdate = pendingUpdate.catch(() => {});
+    return result;
+}
+
+export function getImageHost(url) {
+    try {
+        return new URL(url).hostname;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,68 @@
+// Inference Host Manager
+// Keeps a single offscreen document (src/offscreen) alive that holds the ML
+// models, and relays detection requests from content scripts to it.
+
+const OFFSCREEN_URL = 'src/offscreen/offscreen.html';
+
+// How long a request may take end to end, including time spent queued
+export const HOST_TIMEOUTS = {
+    initDetector: 60000, // first load downloads and compiles every model
+    detect: 20000
+};
+
+let creatingOffscreen = null;
+
+async function hasOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+    });
+    return contexts.length > 0;
+}
+
+// Create the offscreen document unless it already exists
+export async function ensureInferenceHost() {
+    if (await hasOffscreenDocument()) return;
+
+    if (!creatingOffscreen) {
+        creatingOffscreen = chrome.offscreen.createDocument({
+            url: OFFSCREEN_URL,
+            reasons: ['WORKERS'],
+            justification: 'Run face and body detection models once for all tabs'
+        }).finally(() => {
+            creatingOffscreen = null;
+        });
+    }
+    await creatingOffscreen;
+}
+
+function withTimeout(promise, timeoutMs, label) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Send a request to the inference host and resolve with its result
+export async function sendToInferenceHost(message) {
+    const timeoutMs = HOST_TIMEOUTS[message.action] || HOST_TIMEOUTS.detect;
+
+    await ensureInferenceHost();
+    const response = await withTimeout(
+        chrome.runtime.sendMessage({ ...message, target: 'offscreen', timeoutMs }),
+        timeoutMs,
+        message.action
+    );
+
+    if (!response) throw new Error('Inference host did not respond');
+    if (response.error) throw new Error(response.error);
+    return response.result;
+}
+
+// Load the models for another global performance mode. A host that is not
+// running yet gets the new mode with its first initDetector request.
+export async function reloadInferenceHost(performanceMode) {
+    if (!(await hasOffscreenDocument())) return;
+    await sendToInferenceHost({ action: 'initDetector', performanceMode });
+}
@@ -0,0 +1,264 @@
+// PIN Lock
+// Guards changes that weaken protection (see isLoweringProtection) behind a
+// PIN. The PIN and its recovery code are stored only as salted PBKDF2 hashes.
+// A correct PIN unlocks changes for a short session; repeated wrong attempts
+// lock entry out for a growing period.
+
+const PIN_KEY = 'pinLock';
+const SESSION_KEY = 'pinUnlockedUntil';
+
+export const PIN_LIMITS = {
+    minLength: 4,
+    maxAttempts: 5,
+    lockoutMs: 5 * 60 * 1000, // doubles with every further wrong attempt
+    maxLockoutMs: 60 * 60 * 1000,
+    sessionMs: 5 * 60 * 1000,
+    iterations: 150000
+};
+
+// Recovery codes avoid look-alike characters (0/O, 1/I)
+const RECOVERY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+async function hashSecret(secret, salt, iterations) {
+    const key = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        key,
+        256
+    );
+    return toBase64(bits);
+}
+
+async function createHash(secret) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    return {
+        salt: toBase64(salt),
+        hash: await hashSecret(secret, salt, PIN_LIMITS.iterations),
+        iterations: PIN_LIMITS.iterations
+    };
+}
+
+async function matchesHash(secret, stored) {
+    const hash = await hashSecret(secret, fromBase64(stored.salt), stored.iterations);
+    // Both are fixed-length base64 digests; compare without an early exit
+    let diff = hash.length ^ stored.hash.length;
+    for (let i = 0; i < hash.length && i < stored.hash.length; i++) {
+        diff |= hash.charCodeAt(i) ^ stored.hash.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+function generateRecoveryCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(12));
+    const chars = Array.from(bytes, byte => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length]);
+    return [0, 4, 8].map(start => chars.slice(start, start + 4).join('')).join('-');
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+async function getPinRecord() {
+    const { [PIN_KEY]: record } = await chrome.storage.local.get(PIN_KEY);
+    return record || null;
+}
+
+async function savePinRecord(record) {
+    await chrome.storage.local.set({ [PIN_KEY]: record });
+}
+
+export async function isUnlocked() {
+    const record = await getPinRecord();
+    if (!record) return true;
+
+    const { [SESSION_KEY]: until } = await chrome.storage.session.get(SESSION_KEY);
+    return Boolean(until && until > Date.now());
+}
+
+async function startSession() {
+    await chrome.storage.session.set({ [SESSION_KEY]: Date.now() + PIN_LIMITS.sessionMs });
+}
+
+export async function lockSession() {
+    await chrome.storage.session.remove(SESSION_KEY);
+}
+
+export async function getPinStatus() {
+    const record = await getPinRecord();
+    return {
+        enabled: Boolean(record),
+        unlocked: await isUnlocked(),
+        lockedUntil: record && record.lockedUntil > Date.now() ? record.lockedUntil : null,
+        attemptsLeft: record ? Math.max(0, PIN_LIMITS.maxAttempts - record.failedAttempts) : PIN_LIMITS.maxAttempts
+    };
+}
+
+// Shared by PIN and recovery code checks, so both count towards lockout
+async function checkSecret(record, field, secret) {
+    if (record.lockedUntil > Date.now()) {
+        return { success: false, lockedUntil: record.lockedUntil, attemptsLeft: 0 };
+    }
+
+    if (await matchesHash(secret, record[field])) {
+        record.failedAttempts = 0;
+        record.lockedUntil = 0;
+        await savePinRecord(record);
+        return { success: true };
+    }
+
+    record.failedAttempts++;
+    const overLimit = record.failedAttempts - PIN_LIMITS.maxAttempts;
+    if (overLimit >= 0) {
+        record.lockedUntil = Date.now() + Math.min(PIN_LIMITS.maxLockoutMs, PIN_LIMITS.lockoutMs * 2 ** overLimit);
+    }
+    await savePinRecord(record);
+
+    return {
+        success: false,
+        lockedUntil: record.lockedUntil > Date.now() ? record.lockedUntil : null,
+        attemptsLeft: Math.max(0, PIN_LIMITS.maxAttempts - record.failedAttempts)
+    };
+}
+
+export async function verifyPin(pin) {
+    const record = await getPinRecord();
+    if (!record) return { success: true };
+
+    const result = await checkSecret(record, 'pin', String(pin || ''));
+    if (result.success) await startSession();
+    return result;
+}
+
+// Set a new PIN, or change it; changing requires an unlocked session.
+// Returns the new recovery code, which is shown to the user once.
+export async function setPin(pin) {
+    pin = String(pin || '');
+    if (!/^\d+$/.test(pin) || pin.length < PIN_LIMITS.minLength) {
+        throw new Error(`PIN must be at least ${PIN_LIMITS.minLength} digits`);
+    }
+    if (!(await isUnlocked())) throw new Error('locked');
+
+    const recoveryCode = generateRecoveryCode();
+    await savePinRecord({
+        pin: await createHash(pin),
+        recovery: await createHash(normalizeRecoveryCode(recoveryCode)),
+        failedAttempts: 0,
+        lockedUntil: 0
+    });
+    await startSession();
+    return { recoveryCode };
+}
+
+export async function removePin() {
+    if (!(await isUnlocked())) throw new Error('locked');
+    await chrome.storage.local.remove(PIN_KEY);
+    await lockSession();
+}
+
+// Forgotten PIN: the recovery code replaces it with a new PIN and a new code
+export async function recoverPin(recoveryCode, newPin) {
+    const record = await getPinRecord();
+    if (!record) return { success: false };
+
+    const result = await checkSecret(record, 'recovery', normalizeRecoveryCode(recoveryCode));
+    if (!result.success) return result;
+
+    await startSession();
+    return { success: true, ...(await setPin(newPin)) };
+}
+
+// How strict each ordered setting value is; a move to a lower rank weakens protection
+const SETTING_RANKS = {
+    unmatchedBodyPolicy: ['skip', 'auto', 'blur'],
+    // Filters that leave shapes visible, then covers that hide them
+    blurStyle: ['blur', 'grayscale', 'pixelate', 'silhouette', 'solid'],
+    revealMode: ['click', 'confirm', 'hold', 'disabled']
+};
+
+const PROTECTIVE_TOGGLES = ['enabled', 'blurFaces', 'blurBodies', 'blurMen', 'blurWomen',
+    'processImages', 'processVideos', 'hideUntilScanned', 'reblurOnScrollAway',
+    'keywordBlur', 'collapseKeywordText'];
+
+// Larger is stronger; pixelSize is the mosaic cell size
+const PROTECTIVE_MINIMUMS = ['detectionSensitivity', 'blurIntensity', 'bodyMaskMargin', 'pixelSize'];
+
+// Whether going from current to next settings needs the PIN
+export function isLoweringProtection(current, next) {
+    if (!current) return false;
+    if (isLoweringValues(current, next)) return true;
+
+    const whitelist = current.whitelist || [];
+    if ((next.whitelist || []).some(site => !whitelist.includes(site))) return true;
+
+    const blacklist = next.blacklist || [];
+    if ((current.blacklist || []).some(site => !blacklist.includes(site))) return true;
+
+    const keywords = next.keywordList || [];
+    if ((current.keywordList || []).some(keyword => !keywords.includes(keyword))) return true;
+
+    return isLoweringSchedules(current, next) || isLoweringOverrides(current, next);
+}
+
+function isLoweringValues(current, next) {
+    if (PROTECTIVE_TOGGLES.some(key => current[key] !== false && next[key] === false)) return true;
+    if (PROTECTIVE_MINIMUMS.some(key => next[key] < current[key])) return true;
+
+    for (const [key, ranks] of Object.entries(SETTING_RANKS)) {
+        if (key in next && ranks.indexOf(next[key]) < ranks.indexOf(current[key])) return true;
+    }
+
+    // 0 means never re-blur
+    const reblurBefore = current.autoReblurSeconds || Infinity;
+    const reblurAfter = next.autoReblurSeconds || Infinity;
+    return reblurAfter > reblurBefore;
+}
+
+// Compare what each overridden site ends up with, so adding, editing or
+// removing an override is judged by its effect on that site
+function isLoweringOverrides(current, next) {
+    const currentOverrides = current.siteOverrides || {};
+    const nextOverrides = next.siteOverrides || {};
+    const patterns = new Set([...Object.keys(currentOverrides), ...Object.keys(nextOverrides)]);
+
+    return [...patterns].some(pattern => isLoweringValues(
+        { ...current, ...currentOverrides[pattern] },
+        { ...next, ...nextOverrides[pattern] }
+    ));
+}
+
+// A window's settings apply on top of the rest while it runs. A window kept
+// at the same times is judged by its effect, like a site override. Otherwise
+// the PIN is needed to drop a window that is stricter than the settings around
+// it, or to add one that is weaker.
+function isLoweringSchedules(current, next) {
+    const timing = window => JSON.stringify([window.days, window.start, window.end, window.enabled !== false]);
+    const currentWindows = new Map((current.schedules || []).map(window => [window.id, window]));
+    const nextWindows = new Map((next.schedules || []).map(window => [window.id, window]));
+    const ids = new Set([...currentWindows.keys(), ...nextWindows.keys()]);
+
+    return [...ids].some(id => {
+        const before = currentWindows.get(id);
+        const after = nextWindows.get(id);
+
+        if (before && after && timing(before) === timing(after)) {
+            return before.enabled !== false &&
+                isLoweringValues({ ...current, ...before.settings }, { ...next, ...after.settings });
+        }
+
+        const dropsStricter = before && before.enabled !== false &&
+            isLoweringValues({ ...current, ...before.settings }, current);
+        const addsWeaker = after && after.enabled !== false &&
+            isLoweringValues(next, { ...next, ...after.settings });
+        return Boolean(dropsStricter || addsWeaker);
+    });
+}
@@ -0,0 +1,66 @@
+// Schedules
+// Weekly time windows (settings.schedules) that switch settings on a timer:
+//   { id, label, days: [0-6, Sunday = 0], start: 'HH:MM', end: 'HH:MM', settings }
+// While a window runs, its settings apply on top of the rest, like a site override.
+// A window whose end is not after its start runs past midnight into the next
+// day. When windows overlap, the first one in the list wins.
+
+export const SCHEDULE_ALARM = 'halalvision-schedule';
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    return Math.min(23, Number(match[1])) * 60 + Math.min(59, Number(match[2]));
+}
+
+// Minutes since Sunday 00:00 local time, including the fraction of the minute
+function minuteOfWeek(date) {
+    return date.getDay() * MINUTES_PER_DAY + date.getHours() * 60 + date.getMinutes() +
+        date.getSeconds() / 60 + date.getMilliseconds() / 60000;
+}
+
+// [start, end) occurrences of a window within the week, in minutes of week
+function getOccurrences(window) {
+    const start = parseTime(window.start);
+    const end = parseTime(window.end);
+    if (start === null || end === null || !Array.isArray(window.days)) return [];
+
+    const length = end > start ? end - start : MINUTES_PER_DAY - start + end;
+    return window.days.map(day => {
+        const from = day * MINUTES_PER_DAY + start;
+        return [from, from + length];
+    });
+}
+
+export function getActiveWindow(schedules, date = new Date()) {
+    const now = minuteOfWeek(date);
+
+    return (schedules || []).find(window => window.enabled !== false &&
+        getOccurrences(window).some(([from, to]) =>
+            // A window running from Saturday into Sunday ends past the week's end
+            (now >= from && now < to) || (now + MINUTES_PER_WEEK >= from && now + MINUTES_PER_WEEK < to)
+        )) || null;
+}
+
+// When the next window starts or ends, or null if there are no windows
+export function getNextChange(schedules, date = new Date()) {
+    const now = minuteOfWeek(date);
+    let next = Infinity;
+
+    for (const window of schedules || []) {
+        if (window.enabled === false) continue;
+
+        for (const [from, to] of getOccurrences(window)) {
+            for (const boundary of [from, to % MINUTES_PER_WEEK]) {
+                let wait = boundary - now;
+                if (wait <= 0) wait += MINUTES_PER_WEEK;
+                next = Math.min(next, wait);
+            }
+        }
+    }
+
+    return next === Infinity ? null : new Date(date.getTime() + next * 60000);
+}
@@ -1,10 +1,45 @@
 // Service Worker - Background Script
 // Handles extension lifecycle and cross-tab communication
 
+import { sendToInferenceHost, reloadInferenceHost } from './inference-host.js';
+import {
+    getCachedDetection,
+    putCachedDetection,
+    clearDetectionCache,
+    getCacheStats
+} from './detection-cache.js';
+import {
+    getPinStatus,
+    verifyPin,
+    setPin,
+    removePin,
+    recoverPin,
+    lockSession,
+    isUnlocked,
+    isLoweringProtection
+} from './pin-lock.js';
+import { SCHEDULE_ALARM, getActiveWindow, getNextChange } from './scheduler.js';
+import { recordStat, getStats, getStatsHistory } from './stats.js';
+import { getImageRules, setImageRule, isLoweringImageRule, getImageHost } from './image-rules.js';
+import { addReport, getReports, labelReport, removeReport, clearReports } from './feedback.js';
+import {
+    SETTINGS_VERSION,
+    SITE_SCOPE_KEYS,
+    normalizeSitePattern,
+    migrateSettings,
+    validateSettings,
+    repairSettings
+} from './settings-schema.js';
+
 // Default settings
 const DEFAULT_SETTINGS = {
+    schemaVersion: SETTINGS_VERSION, // see settings-schema.js
     enabled: true,
     blurIntensity: 25,
+    blurStyle: 'blur', // 'blur', 'pixelate', 'solid', 'silhouette', 'grayscale'
+    pixelSize: 16,
+    coverColor: '#1F2937',
+    bodyMaskMargin: 2, // % of the image's longer side added around body masks
     blurFaces: true,
     blurBodies: true,
     blurMen: true,
@@ -13,20 +48,63 @@ const DEFAULT_SETTINGS = {
     processImages: true,
     whitelist: [],
     blacklist: [],
+    siteOverrides: {}, // site pattern -> settings that replace the global ones there
     performanceMode: 'balanced', // 'fast', 'balanced', 'accurate'
     showNotifications: true,
+    showPanicButton: false, // floating panic button on every page
     detectionSensitivity: 0.7,
-    autoEnableOnStart: true
+    unmatchedBodyPolicy: 'auto', // 'auto', 'blur', 'skip'
+    hideUntilScanned: false,
+    schedules: [], // weekly windows, see scheduler.js
+    revealMode: 'hold', // 'hold', 'confirm', 'click', 'disabled'
+    autoReblurSeconds: 10, // 0 keeps a revealed image uncovered
+    reblurOnScrollAway: true,
+    autoEnableOnStart: true,
+    keywordBlur: true, // blur media whose alt text, caption, link or URL matches keywordList
+    // Plain keywords match whole words, any case; /pattern/flags is a regex
+    keywordList: [
+        // English
+        'nude', 'nudity', 'naked', 'topless', 'nsfw', 'porn', 'erotic', 'sexy',
+        'lingerie', 'bikini', 'swimsuit', 'swimwear', 'underwear', 'cleavage', 'onlyfans',
+        // Indonesian / Malay
+        'telanjang', 'bugil', 'tanpa busana', 'seksi', 'syur', 'mesum', 'pakaian dalam', 'baju renang',
+        // Arabic
+        'عاري', 'عارية', 'إباحي', 'إباحية', 'مثير', 'مثيرة', 'بيكيني', 'ملابس داخلية',
+        // Spanish, French, German
+        'desnudo', 'desnuda', 'lencería', 'nue', 'nackt',
+        '/\\bx{3}\\b/i'
+    ],
+    collapseKeywordText: false // also hide matching paragraphs and links
+};
+
+// Settings forced on blacklisted sites, regardless of the user's global
+// toggles, site overrides and schedules
+const STRICT_SETTINGS = {
+    enabled: true,
+    blurFaces: true,
+    blurBodies: true,
+    blurMen: true,
+    blurWomen: true,
+    processImages: true,
+    processVideos: true,
+    detectionSensitivity: 1,
+    unmatchedBodyPolicy: 'blur',
+    blurIntensity: 50,
+    bodyMaskMargin: 4,
+    keywordBlur: true
 };
 
 // Initialize extension on install
 chrome.runtime.onInstalled.addListener(async (details) => {
     console.log('HalalVision installed:', details.reason);
 
-    if (details.reason === 'install') {
-        // Set default settings
-        await chrome.storage.sync.set({ settings: DEFAULT_SETTINGS });
+    // Settings synced from another device, or written by an older version,
+    // are upgraded; a fresh profile gets the defaults
+    if (details.reason === 'install' || details.reason === 'update') {
+        await migrateStoredSettings();
+    }
 
+    if (details.reason === 'install') {
         // Open welcome/setup page
         chrome.tabs.create({
             url: 'src/options/options.html?welcome=true'
@@ -35,6 +113,116 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 
     // Create context menu
     createContextMenus();
+
+    const { settings } = await chrome.storage.sync.get('settings');
+    await syncBlurFirstStylesheet(settings);
+    await syncSchedule(settings);
+});
+
+async function migrateStoredSettings() {
+    const { settings: stored } = await chrome.storage.sync.get('settings');
+    if (!stored) {
+        await chrome.storage.sync.set({ settings: DEFAULT_SETTINGS });
+        return;
+    }
+
+    const { settings, errors } = repairSettings(stored, DEFAULT_SETTINGS);
+    errors.forEach(error => console.warn(`🕌 HalalVision: Dropped stored setting ${error.key}: ${error.message}`));
+    await chrome.storage.sync.set({ settings });
+}
+
+// Blur-first mode: styles/blur-first.css is injected at document_start, before
+// the page paints, so it has to be registered dynamically while enabled
+const BLUR_FIRST_SCRIPT_ID = 'halalvision-blur-first';
+
+async function syncBlurFirstStylesheet(settings) {
+    const wanted = Boolean(settings && settings.enabled && settings.hideUntilScanned);
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [BLUR_FIRST_SCRIPT_ID] });
+
+    if (wanted && registered.length === 0) {
+        await chrome.scripting.registerContentScripts([{
+            id: BLUR_FIRST_SCRIPT_ID,
+            css: ['styles/blur-first.css'],
+            matches: ['<all_urls>'],
+            runAt: 'document_start',
+            allFrames: true,
+            matchOriginAsFallback: true
+        }]);
+    } else if (!wanted && registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [BLUR_FIRST_SCRIPT_ID] });
+    }
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && changes.settings) {
+        syncBlurFirstStylesheet(changes.settings.newValue).catch(error => {
+            console.error('HalalVision: failed to update blur-first stylesheet', error);
+        });
+        syncSchedule(changes.settings.newValue).catch(error => {
+            console.error('HalalVision: failed to update schedule', error);
+        });
+
+        const oldMode = changes.settings.oldValue?.performanceMode;
+        const newMode = changes.settings.newValue?.performanceMode;
+        if (newMode && newMode !== oldMode) {
+            reloadInferenceHost(newMode).catch(error => {
+                console.error('HalalVision: failed to reload inference host', error);
+            });
+        }
+    }
+});
+
+// Global performance mode: the BodyPix net the host loads for every tab.
+// Site overrides only change the per-request limits sent with each detect call.
+async function getModelMode() {
+    const { settings } = await chrome.storage.sync.get('settings');
+    return settings?.performanceMode || DEFAULT_SETTINGS.performanceMode;
+}
+
+// Results depend on the loaded net as well as the page's detection settings
+async function getCacheFingerprint(fingerprint) {
+    return `${fingerprint}|${await getModelMode()}`;
+}
+
+// Schedules
+// The active window is re-evaluated by an alarm at its next start or end.
+// When it changes, every tab re-fetches its settings.
+function applySchedule(settings) {
+    const active = getActiveWindow(settings.schedules);
+    if (!active) return settings;
+
+    const scheduled = { ...active.settings };
+    SITE_SCOPE_KEYS.forEach(key => delete scheduled[key]);
+    return { ...settings, ...scheduled };
+}
+
+async function syncSchedule(settings) {
+    const schedules = (settings && settings.schedules) || [];
+    const active = getActiveWindow(schedules);
+    const activeId = active ? active.id : null;
+
+    const { scheduleState } = await chrome.storage.local.get('scheduleState');
+    if ((scheduleState ? scheduleState.activeId : null) !== activeId) {
+        await chrome.storage.local.set({ scheduleState: { activeId } });
+        await notifyAllTabs({ action: 'settingsUpdated' });
+    }
+
+    if (settings) {
+        updateBadge(applySchedule(settings).enabled);
+    }
+
+    const next = getNextChange(schedules);
+    if (next) {
+        await chrome.alarms.create(SCHEDULE_ALARM, { when: next.getTime() });
+    } else {
+        await chrome.alarms.clear(SCHEDULE_ALARM);
+    }
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== SCHEDULE_ALARM) return;
+    const { settings } = await chrome.storage.sync.get('settings');
+    await syncSchedule(settings);
 });
 
 // Create right-click context menus
@@ -52,6 +240,18 @@ function createContextMenus() {
             contexts: ['all']
         });
 
+        chrome.contextMenus.create({
+            id: 'addToBlacklist',
+            title: 'Tambah ke Blacklist (Selalu Ketat)',
+            contexts: ['all']
+        });
+
+        chrome.contextMenus.create({
+            id: 'panicMode',
+            title: '🚨 Mode Panik (Tutup Halaman)',
+            contexts: ['all']
+        });
+
         chrome.contextMenus.create({
             id: 'blurThisImage',
             title: 'Blur Gambar Ini',
@@ -63,6 +263,39 @@ function createContextMenus() {
             title: 'Unblur Gambar Ini',
             contexts: ['image']
         });
+
+        chrome.contextMenus.create({
+            id: 'imageRules',
+            title: 'Aturan Gambar',
+            contexts: ['image']
+        });
+
+        chrome.contextMenus.create({
+            id: 'alwaysBlurImage',
+            parentId: 'imageRules',
+            title: 'Selalu blur gambar ini',
+            contexts: ['image']
+        });
+
+        chrome.contextMenus.create({
+            id: 'alwaysBlurHost',
+            parentId: 'imageRules',
+            title: 'Selalu blur gambar dari host ini',
+            contexts: ['image']
+        });
+
+        chrome.contextMenus.create({
+            id: 'neverBlurImage',
+            parentId: 'imageRules',
+            title: 'Jangan pernah blur gambar ini',
+            contexts: ['image']
+        });
+
+        chrome.contextMenus.create({
+            id: 'reportMissedImage',
+            title: 'Laporkan Gambar yang Terlewat',
+            contexts: ['image']
+        });
     });
 }
 
@@ -73,64 +306,194 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
             await toggleExtension();
             break;
         case 'addToWhitelist':
-            await addCurrentSiteToWhitelist(tab);
+            await addCurrentSiteToList(tab, 'whitelist');
             break;
-        case 'blurSpecificImage':
+        case 'addToBlacklist':
+            await addCurrentSiteToList(tab, 'blacklist');
+            break;
+        case 'panicMode':
+            await setPanic(tab.id, true);
+            break;
+        // One-off, for this page only; sent to the frame the image is in
+        case 'blurThisImage':
+        case 'unblurThisImage':
             await sendMessageToTab(tab.id, {
-                action: 'blurSpecificImage',
+                action: info.menuItemId === 'blurThisImage' ? 'blurSpecificImage' : 'unblurSpecificImage',
                 imageUrl: info.srcUrl
-            });
+            }, { frameId: info.frameId });
             break;
-        case 'unblurSpecificImage':
+        // The frame holding the image gathers the scores and thumbnail
+        case 'reportMissedImage':
             await sendMessageToTab(tab.id, {
-                action: 'unblurSpecificImage',
+                action: 'reportMissedImage',
                 imageUrl: info.srcUrl
-            });
+            }, { frameId: info.frameId });
             break;
+        case 'alwaysBlurImage':
+        case 'alwaysBlurHost':
+        case 'neverBlurImage': {
+            const result = info.menuItemId === 'alwaysBlurHost'
+                ? await applyImageRule('host', getImageHost(info.srcUrl), 'blur')
+                : await applyImageRule('url', info.srcUrl, info.menuItemId === 'neverBlurImage' ? 'allow' : 'blur');
+            if (result.error === 'locked') openPinPrompt();
+            break;
+        }
     }
 });
 
+// Store an image rule and have every tab re-check its images. Rules that
+// let an image through need the PIN.
+async function applyImageRule(scope, key, action) {
+    if (!key) return { error: 'invalid' };
+
+    const rules = await getImageRules();
+    if (isLoweringImageRule(rules, scope, key, action) && !(await isUnlocked())) {
+        return { error: 'locked' };
+    }
+
+    await setImageRule(scope, key, action);
+    await notifyAllTabs({ action: 'imageRulesUpdated' });
+    return { success: true };
+}
+
 // Toggle extension on/off
 async function toggleExtension() {
     const { settings } = await chrome.storage.sync.get('settings');
+    if (settings.enabled && !(await isUnlocked())) {
+        openPinPrompt();
+        return;
+    }
     settings.enabled = !settings.enabled;
     await chrome.storage.sync.set({ settings });
 
     // Notify all tabs
-    const tabs = await chrome.tabs.query({});
-    for (const tab of tabs) {
-        try {
-            await sendMessageToTab(tab.id, {
-                action: 'settingsUpdated',
-                settings
-            });
-        } catch (e) {
-            // Tab might not have content script
-        }
-    }
+    await notifyAllTabs({ action: 'settingsUpdated', settings });
 
     // Update badge
     updateBadge(settings.enabled);
 }
 
-// Add current site to whitelist
-async function addCurrentSiteToWhitelist(tab) {
+async function notifyAllTabs(message) {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+        // Tabs without the content script are skipped by sendMessageToTab
+        await sendMessageToTab(tab.id, message);
+    }
+}
+
+// Add current site to the whitelist or blacklist
+async function addCurrentSiteToList(tab, listName) {
     const url = new URL(tab.url);
-    const domain = url.hostname;
+    const domain = normalizeSitePattern(url.hostname);
 
     const { settings } = await chrome.storage.sync.get('settings');
-    if (!settings.whitelist.includes(domain)) {
-        settings.whitelist.push(domain);
+    if (listName === 'whitelist' && !(await isUnlocked())) {
+        openPinPrompt();
+        return;
+    }
+    if (!settings[listName]) settings[listName] = [];
+    if (!settings[listName].includes(domain)) {
+        settings[listName].push(domain);
         await chrome.storage.sync.set({ settings });
 
         // Notify tab
-        await sendMessageToTab(tab.id, {
-            action: 'siteWhitelisted',
-            domain
-        });
+        await sendMessageToTab(tab.id, listName === 'whitelist'
+            ? { action: 'siteWhitelisted', domain }
+            : { action: 'settingsUpdated' });
     }
 }
 
+// Context menu actions have no page of their own to ask for the PIN in
+function openPinPrompt() {
+    chrome.tabs.create({ url: 'src/options/options.html?locked=true' });
+}
+
+// Check a URL against a site pattern.
+//   "example.com"          - example.com and all of its subdomains
+//   "*.example.com"        - subdomains of example.com only
+//   "example.com/shorts/*" - path prefix (a trailing "*" is optional); it
+//                            ends at a segment, so "/shortsfoo" does not match
+function matchesSitePattern(pattern, url) {
+    const normalized = normalizeSitePattern(pattern);
+    if (!normalized) return false;
+
+    let target;
+    try {
+        target = new URL(url);
+    } catch {
+        return false;
+    }
+
+    const slash = normalized.indexOf('/');
+    const hostPattern = slash === -1 ? normalized : normalized.slice(0, slash);
+    const pathPattern = slash === -1 ? '' : normalized.slice(slash).replace(/\*$/, '');
+    const hostname = target.hostname.toLowerCase().replace(/^www\./, '');
+
+    let hostMatches;
+    if (hostPattern.startsWith('*.')) {
+        const base = hostPattern.slice(2);
+        hostMatches = hostname.endsWith('.' + base);
+    } else {
+        hostMatches = hostname === hostPattern || hostname.endsWith('.' + hostPattern);
+    }
+
+    if (!hostMatches) return false;
+    if (!pathPattern) return true;
+    if (!target.pathname.startsWith(pathPattern)) return false;
+
+    // The query and fragment are not part of pathname, so the prefix ends at
+    // a "/" or at the end of the path
+    const next = target.pathname.charAt(pathPattern.length);
+    return pathPattern.endsWith('/') || next === '' || next === '/';
+}
+
+// Whitelist/blacklist state of a URL. The blacklist wins when both match.
+function getSiteStatus(settings, url) {
+    const whitelistMatches = (settings?.whitelist || []).filter(p => matchesSitePattern(p, url));
+    const blacklistMatches = (settings?.blacklist || []).filter(p => matchesSitePattern(p, url));
+    const isBlacklisted = blacklistMatches.length > 0;
+
+    return {
+        isWhitelisted: !isBlacklisted && whitelistMatches.length > 0,
+        isBlacklisted,
+        whitelistMatches,
+        blacklistMatches,
+        overridePattern: getOverridePattern(settings, url)
+    };
+}
+
+// The site override pattern that applies to a URL. When several match, the
+// longest (most specific) one wins, so "example.com/shorts" beats "example.com".
+function getOverridePattern(settings, url) {
+    return Object.keys(settings?.siteOverrides || {})
+        .filter(pattern => matchesSitePattern(pattern, url))
+        .sort((a, b) => normalizeSitePattern(b).length - normalizeSitePattern(a).length)[0] || null;
+}
+
+function applySiteOverride(settings, url) {
+    const pattern = getOverridePattern(settings, url);
+    if (!pattern) return settings;
+
+    const override = { ...settings.siteOverrides[pattern] };
+    SITE_SCOPE_KEYS.forEach(key => delete override[key]);
+    return { ...settings, ...override };
+}
+
+// Settings as they apply to a given page
+function resolveEffectiveSettings(settings, url) {
+    let base = { ...DEFAULT_SETTINGS, ...settings };
+    if (!url) return base;
+
+    // Pages follow their site override and the active schedule window;
+    // extension pages edit the stored settings
+    base = applySiteOverride(base, url);
+    base = applySchedule(base);
+
+    // Applied last, so nothing can switch protection off on a strict site
+    const status = getSiteStatus(base, url);
+    return status.isBlacklisted ? { ...base, ...STRICT_SETTINGS } : base;
+}
+
 // Update extension badge
 function updateBadge(enabled) {
     chrome.action.setBadgeText({
@@ -142,47 +505,322 @@ function updateBadge(enabled) {
 }
 
 // Send message to specific tab
-async function sendMessageToTab(tabId, message) {
+async function sendMessageToTab(tabId, message, options = {}) {
     try {
-        await chrome.tabs.sendMessage(tabId, message);
+        await chrome.tabs.sendMessage(tabId, message, options);
     } catch (error) {
         console.log('Could not send message to tab:', tabId);
     }
 }
 
+// Keyboard shortcuts (manifest "commands"). Toggling goes through
+// toggleExtension, so switching protection off still needs the PIN.
+const TAB_COMMANDS = {
+    'rescan-page': { message: { action: 'rescanPage' } },
+    'reblur-all': { message: { action: 'reblurAll' } }
+};
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    if (command === 'toggle-protection') {
+        await toggleExtension();
+        return;
+    }
+
+    if (!tab) [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) return;
+
+    if (command === 'panic-blur') {
+        await setPanic(tab.id, true);
+    } else if (TAB_COMMANDS[command]) {
+        await sendMessageToTab(tab.id, TAB_COMMANDS[command].message);
+    }
+});
+
+// Panic mode
+// Tabs in panic mode stay covered until dismissed, across reloads and
+// navigation. Every frame pauses its media; the top frame draws the cover.
+const PANIC_KEY = 'panicTabs';
+
+async function getPanicTabs() {
+    const { [PANIC_KEY]: tabs } = await chrome.storage.session.get(PANIC_KEY);
+    return tabs || [];
+}
+
+async function setPanic(tabId, active) {
+    const tabs = (await getPanicTabs()).filter(id => id !== tabId);
+    if (active) tabs.push(tabId);
+    await chrome.storage.session.set({ [PANIC_KEY]: tabs });
+    await sendMessageToTab(tabId, { action: active ? 'panicBlur' : 'dismissPanic' });
+}
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    const tabs = await getPanicTabs();
+    if (tabs.includes(tabId)) {
+        await chrome.storage.session.set({ [PANIC_KEY]: tabs.filter(id => id !== tabId) });
+    }
+});
+
 // Handle messages from content scripts and popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     handleMessage(message, sender, sendResponse);
     return true; // Async response
 });
 
+// The URL site rules are decided on. Content scripts in subframes follow the
+// top-level page of their tab, not the iframe's own address; extension pages
+// (popup, options) have no tab and pass the URL explicitly.
+function getPageUrl(message, sender) {
+    return sender.tab?.url || message.url;
+}
+
+// Largest image fetched on behalf of a page that cannot read it cross-origin
+const MAX_FETCHED_IMAGE_BYTES = 15 * 1024 * 1024;
+
+// Fetch an image with the extension's host permissions and return it as a
+// data: URL the content script can draw without tainting its canvas
+async function fetchImageAsDataUrl(url) {
+    if (!/^https?:/i.test(url)) throw new Error('Only http(s) images can be fetched');
+
+    const response = await fetch(url, { credentials: 'omit' });
+    if (!response.ok) throw new Error(`Fetching image failed: HTTP ${response.status}`);
+
+    const type = response.headers.get('content-type') || '';
+    if (!type.startsWith('image/')) throw new Error(`Not an image: ${type || 'unknown type'}`);
+    if (Number(response.headers.get('content-length')) > MAX_FETCHED_IMAGE_BYTES) {
+        throw new Error('Image too large to fetch');
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (bytes.length > MAX_FETCHED_IMAGE_BYTES) throw new Error('Image too large to fetch');
+
+    // btoa needs a binary string; build it in chunks to stay within argument limits
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${type.split(';')[0]};base64,${btoa(binary)}`;
+}
+
+// Only complete analyses are cached; a fallback or malformed result would
+// otherwise be served as the image's verdict until the entry expires
+function isCacheableDetection(result) {
+    return Boolean(result) && !result.error &&
+        typeof result.shouldBlur === 'boolean' && Array.isArray(result.faces);
+}
+
 async function handleMessage(message, sender, sendResponse) {
     switch (message.action) {
-        case 'getSettings':
+        case 'getSettings': {
             const { settings } = await chrome.storage.sync.get('settings');
-            sendResponse({ settings: settings || DEFAULT_SETTINGS });
+            const stored = settings || DEFAULT_SETTINGS;
+            const pageUrl = getPageUrl(message, sender);
+            if (pageUrl) {
+                sendResponse({
+                    settings: resolveEffectiveSettings(stored, pageUrl),
+                    siteStatus: getSiteStatus(stored, pageUrl)
+                });
+            } else {
+                sendResponse({ settings: stored });
+            }
             break;
+        }
 
-        case 'updateSettings':
-            await chrome.storage.sync.set({ settings: message.settings });
-            updateBadge(message.settings.enabled);
+        case 'updateSettings': {
+            const { settings: valid, errors } = validateSettings(migrateSettings(message.settings));
+            if (errors.length > 0) {
+                sendResponse({ error: 'invalid', errors });
+                break;
+            }
+            const next = { ...DEFAULT_SETTINGS, ...valid, schemaVersion: SETTINGS_VERSION };
+
+            // Imports replace settings wholesale, so they always need the PIN
+            const { settings: current } = await chrome.storage.sync.get('settings');
+            const needsPin = message.source === 'import' || isLoweringProtection(current, next);
+            if (needsPin && !(await isUnlocked())) {
+                sendResponse({ error: 'locked' });
+                break;
+            }
+
+            await chrome.storage.sync.set({ settings: next });
+            updateBadge(next.enabled);
+            sendResponse({ success: true });
+            break;
+        }
+
+        // From the popup (tabId) or a page's own panic controls (sender.tab)
+        case 'panic':
+        case 'dismissPanic': {
+            const tabId = message.tabId ?? sender.tab?.id;
+            if (tabId !== undefined) await setPanic(tabId, message.action === 'panic');
+            sendResponse({ success: true });
+            break;
+        }
+
+        case 'getImageRules':
+            sendResponse({ rules: await getImageRules() });
+            break;
+
+        case 'setImageRule':
+            sendResponse(await applyImageRule(message.scope, message.key, message.rule));
+            break;
+
+        case 'submitFeedback':
+            try {
+                await addReport({ ...message.report, pageUrl: getPageUrl(message, sender) });
+                sendResponse({ success: true });
+            } catch (error) {
+                sendResponse({ error: error.message });
+            }
+            break;
+
+        case 'getFeedbackReports':
+            sendResponse({ reports: await getReports() });
+            break;
+
+        case 'labelFeedbackReport':
+            try {
+                await labelReport(message.id, message.label);
+                sendResponse({ success: true });
+            } catch (error) {
+                sendResponse({ error: error.message });
+            }
+            break;
+
+        case 'removeFeedbackReport':
+            await removeReport(message.id);
+            sendResponse({ success: true });
+            break;
+
+        case 'clearFeedbackReports':
+            await clearReports();
+            sendResponse({ success: true });
+            break;
+
+        case 'getPanicState':
+            sendResponse({ active: Boolean(sender.tab) && (await getPanicTabs()).includes(sender.tab.id) });
+            break;
+
+        // Dry run for imports: what would be kept, and why the rest is not
+        case 'validateSettings':
+            sendResponse(validateSettings(migrateSettings(message.settings)));
+            break;
+
+        case 'resetSettings':
+            if (!(await isUnlocked())) {
+                sendResponse({ error: 'locked' });
+                break;
+            }
+            await chrome.storage.sync.set({ settings: DEFAULT_SETTINGS });
+            updateBadge(DEFAULT_SETTINGS.enabled);
+            sendResponse({ success: true });
+            break;
+
+        case 'getPinStatus':
+            sendResponse(await getPinStatus());
+            break;
+
+        case 'verifyPin':
+            sendResponse(await verifyPin(message.pin));
+            break;
+
+        case 'setPin':
+        case 'recoverPin':
+            try {
+                const result = message.action === 'setPin'
+                    ? await setPin(message.pin)
+                    : await recoverPin(message.recoveryCode, message.pin);
+                sendResponse(result);
+            } catch (error) {
+                sendResponse({ error: error.message });
+            }
+            break;
+
+        case 'removePin':
+            try {
+                await removePin();
+                sendResponse({ success: true });
+            } catch (error) {
+                sendResponse({ error: error.message });
+            }
+            break;
+
+        case 'lockPin':
+            await lockSession();
             sendResponse({ success: true });
             break;
 
         case 'getStats':
-            const { stats } = await chrome.storage.local.get('stats');
-            sendResponse({ stats: stats || { imagesProcessed: 0, videosProcessed: 0 } });
+            sendResponse(await getStats());
             break;
 
-        case 'updateStats':
-            await chrome.storage.local.set({ stats: message.stats });
+        case 'getStatsHistory':
+            sendResponse({ history: await getStatsHistory() });
+            break;
+
+        case 'recordStat':
+            // Answered once stored, which keeps the service worker awake until then
+            await recordStat(message.event, getPageUrl(message, sender));
             sendResponse({ success: true });
             break;
 
-        case 'isWhitelisted':
+        case 'getSiteStatus': {
             const result = await chrome.storage.sync.get('settings');
-            const isWhitelisted = result.settings?.whitelist?.includes(message.domain) || false;
-            sendResponse({ isWhitelisted });
+            sendResponse(getSiteStatus(result.settings, getPageUrl(message, sender)));
+            break;
+        }
+
+        case 'initDetector':
+        case 'detect':
+        case 'diagnose':
+            try {
+                // Images the page could not read arrive as a URL. They are
+                // fetched here, under the same limits as 'fetchImage', so the
+                // host only ever decodes data: URLs.
+                const request = message.image || !message.imageUrl
+                    ? message
+                    : { ...message, image: await fetchImageAsDataUrl(message.imageUrl), imageUrl: null };
+                if (message.action === 'initDetector') request.performanceMode = await getModelMode();
+                const result = await sendToInferenceHost(request);
+                // An image that gets blurred is drawn from the copy fetched
+                // here, so the page does not have to ask for it again
+                const fetchedImage = request !== message && message.action === 'detect' && result.shouldBlur
+                    ? request.image
+                    : null;
+                sendResponse({ result: fetchedImage ? { ...result, fetchedImage } : result });
+
+                if (message.cache && isCacheableDetection(result)) {
+                    putCachedDetection(message.cache.url, await getCacheFingerprint(message.cache.fingerprint), result)
+                        .catch(error => console.log('Could not cache detection:', error));
+                }
+            } catch (error) {
+                sendResponse({ error: error.message });
+            }
+            break;
+
+        case 'fetchImage':
+            try {
+                sendResponse({ result: await fetchImageAsDataUrl(message.url) });
+            } catch (error) {
+                sendResponse({ error: error.message });
+            }
+            break;
+
+        case 'getCachedDetection':
+            try {
+                const result = await getCachedDetection(message.url, await getCacheFingerprint(message.fingerprint));
+                sendResponse({ result });
+            } catch (error) {
+                sendResponse({ result: null });
+            }
+            break;
+
+        case 'clearDetectionCache':
+            await clearDetectionCache();
+            sendResponse({ success: true });
+            break;
+
+        case 'getCacheStats':
+            sendResponse({ stats: await getCacheStats() });
             break;
 
         default:
@@ -194,6 +832,13 @@ async function handleMessage(message, sender, sendResponse) {
 chrome.runtime.onStartup.addListener(async () => {
     const { settings } = await chrome.storage.sync.get('settings');
     if (settings) {
+        if (settings.autoEnableOnStart && !settings.enabled) {
+            // Re-enable protection that was switched off in the last session
+            settings.enabled = true;
+            await chrome.storage.sync.set({ settings });
+        }
         updateBadge(settings.enabled);
     }
+    await syncBlurFirstStylesheet(settings);
+    await syncSchedule(settings);
 });
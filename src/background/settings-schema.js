@@ -0,0 +1,293 @@
+// Settings Schema
+// Describes the type and range of every stored setting, upgrades settings
+// written by older versions (settings.schemaVersion) and checks settings that
+// come from outside, such as imported files, before they reach storage.
+// Validation messages are shown to the user, so they are in Indonesian.
+
+export const SETTINGS_VERSION = 2;
+
+// Settings a site override or schedule window cannot replace: those that
+// describe sites and times rather than protection
+export const SITE_SCOPE_KEYS = ['whitelist', 'blacklist', 'siteOverrides', 'schedules'];
+
+const SETTINGS_SCHEMA = {
+    enabled: { type: 'boolean' },
+    blurIntensity: { type: 'integer', min: 5, max: 50 },
+    blurStyle: { type: 'enum', values: ['blur', 'pixelate', 'solid', 'silhouette', 'grayscale'] },
+    pixelSize: { type: 'integer', min: 4, max: 48 },
+    coverColor: { type: 'color' },
+    bodyMaskMargin: { type: 'integer', min: 0, max: 10 },
+    blurFaces: { type: 'boolean' },
+    blurBodies: { type: 'boolean' },
+    blurMen: { type: 'boolean' },
+    blurWomen: { type: 'boolean' },
+    processVideos: { type: 'boolean' },
+    processImages: { type: 'boolean' },
+    whitelist: { type: 'sites' },
+    blacklist: { type: 'sites' },
+    siteOverrides: { type: 'overrides' },
+    performanceMode: { type: 'enum', values: ['fast', 'balanced', 'accurate'] },
+    showNotifications: { type: 'boolean' },
+    showPanicButton: { type: 'boolean' },
+    detectionSensitivity: { type: 'number', min: 0.1, max: 1 },
+    unmatchedBodyPolicy: { type: 'enum', values: ['auto', 'blur', 'skip'] },
+    hideUntilScanned: { type: 'boolean' },
+    schedules: { type: 'schedules' },
+    revealMode: { type: 'enum', values: ['hold', 'confirm', 'click', 'disabled'] },
+    autoReblurSeconds: { type: 'integer', min: 0, max: 60 },
+    reblurOnScrollAway: { type: 'boolean' },
+    autoEnableOnStart: { type: 'boolean' },
+    keywordBlur: { type: 'boolean' },
+    keywordList: { type: 'keywords' },
+    collapseKeywordText: { type: 'boolean' }
+};
+
+// Settings live in one sync storage item, which is capped at 8 KB
+const MAX_KEYWORD_LENGTH = 100;
+const MAX_KEYWORD_CHARS = 2000;
+
+// A keyword written as /pattern/flags is a regular expression. Returns the
+// compiled expression, or null for a plain keyword; throws if it is invalid.
+// Must match parseKeywordRegex in the content script.
+export function parseKeywordRegex(keyword) {
+    const match = /^\/(.+)\/([a-z]*)$/.exec(keyword);
+    if (!match) return null;
+    // Stateful flags would make repeated tests skip matches
+    return new RegExp(match[1], match[2].replace(/[gy]/g, ''));
+}
+
+// Normalize user input into a site pattern: strips the scheme, "www." and
+// trailing slashes, and lowercases the host part.
+export function normalizeSitePattern(input) {
+    let pattern = String(input || '').trim().replace(/^[a-z]+:\/\//i, '');
+    const slash = pattern.indexOf('/');
+    const host = (slash === -1 ? pattern : pattern.slice(0, slash)).toLowerCase().replace(/^www\./, '');
+    const path = slash === -1 ? '' : pattern.slice(slash).replace(/\/+$/, '');
+    return host + path;
+}
+
+function normalizeSiteList(list) {
+    if (!Array.isArray(list)) return list;
+    return [...new Set(list.map(normalizeSitePattern).filter(Boolean))];
+}
+
+// Upgrade steps keyed by the version they produce. Each receives settings in
+// the previous version's shape. Keys added in a version need no step: they
+// are filled from the defaults when stored settings are repaired.
+const MIGRATIONS = {
+    // 1.0.2 stored site lists as typed, and the popup added hostnames with "www."
+    2: settings => ({
+        ...settings,
+        whitelist: normalizeSiteList(settings.whitelist),
+        blacklist: normalizeSiteList(settings.blacklist)
+    })
+};
+
+// Settings written before versioning count as version 1
+export function migrateSettings(settings) {
+    if (!isPlainObject(settings)) return settings;
+
+    const from = Number.isInteger(settings.schemaVersion) ? settings.schemaVersion : 1;
+    if (from >= SETTINGS_VERSION) return settings;
+
+    let migrated = settings;
+    for (let version = from + 1; version <= SETTINGS_VERSION; version++) {
+        if (MIGRATIONS[version]) migrated = MIGRATIONS[version](migrated);
+    }
+    return { ...migrated, schemaVersion: SETTINGS_VERSION };
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isTime(value) {
+    const match = /^(\d{2}):(\d{2})$/.exec(typeof value === 'string' ? value : '');
+    return Boolean(match) && Number(match[1]) < 24 && Number(match[2]) < 60;
+}
+
+// Each checker returns the value to keep, or undefined after reporting why
+// it was rejected. path names the setting in messages.
+const CHECKERS = {
+    boolean(value, rule, path, errors) {
+        if (typeof value === 'boolean') return value;
+        errors.push({ key: path, message: 'harus true atau false' });
+    },
+
+    integer(value, rule, path, errors) {
+        if (Number.isInteger(value) && value >= rule.min && value <= rule.max) return value;
+        errors.push({ key: path, message: `harus bilangan bulat ${rule.min} - ${rule.max}` });
+    },
+
+    number(value, rule, path, errors) {
+        if (typeof value === 'number' && value >= rule.min && value <= rule.max) return value;
+        errors.push({ key: path, message: `harus angka ${rule.min} - ${rule.max}` });
+    },
+
+    enum(value, rule, path, errors) {
+        if (rule.values.includes(value)) return value;
+        errors.push({ key: path, message: `harus salah satu dari: ${rule.values.join(', ')}` });
+    },
+
+    color(value, rule, path, errors) {
+        if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) return value;
+        errors.push({ key: path, message: 'harus warna heksadesimal, mis. #1F2937' });
+    },
+
+    sites(value, rule, path, errors) {
+        if (!Array.isArray(value)) {
+            errors.push({ key: path, message: 'harus daftar pola situs' });
+            return;
+        }
+
+        const sites = [];
+        value.forEach((site, index) => {
+            const pattern = typeof site === 'string' ? normalizeSitePattern(site) : '';
+            if (!pattern) {
+                errors.push({ key: `${path}[${index}]`, message: 'bukan pola situs yang valid' });
+            } else if (!sites.includes(pattern)) {
+                sites.push(pattern);
+            }
+        });
+        return sites;
+    },
+
+    overrides(value, rule, path, errors) {
+        if (!isPlainObject(value)) {
+            errors.push({ key: path, message: 'harus objek pola situs ke pengaturan' });
+            return;
+        }
+
+        const overrides = {};
+        for (const [site, override] of Object.entries(value)) {
+            const pattern = normalizeSitePattern(site);
+            const sitePath = `${path}.${site}`;
+            if (!pattern || !isPlainObject(override)) {
+                errors.push({ key: sitePath, message: 'bukan pengaturan situs yang valid' });
+                continue;
+            }
+            overrides[pattern] = checkScopedSettings(override, sitePath, 'tidak dapat diatur per situs', errors);
+        }
+        return overrides;
+    },
+
+    keywords(value, rule, path, errors) {
+        if (!Array.isArray(value)) {
+            errors.push({ key: path, message: 'harus daftar kata kunci' });
+            return;
+        }
+
+        const keywords = [];
+        value.forEach((keyword, index) => {
+            const text = typeof keyword === 'string' ? keyword.trim() : '';
+            if (!text || text.length > MAX_KEYWORD_LENGTH) {
+                errors.push({ key: `${path}[${index}]`, message: `harus teks 1 - ${MAX_KEYWORD_LENGTH} karakter` });
+                return;
+            }
+            try {
+                parseKeywordRegex(text);
+            } catch {
+                errors.push({ key: `${path}[${index}]`, message: 'bukan regex yang valid' });
+                return;
+            }
+            if (!keywords.includes(text)) keywords.push(text);
+        });
+
+        if (keywords.join('').length > MAX_KEYWORD_CHARS) {
+            errors.push({ key: path, message: `total maksimal ${MAX_KEYWORD_CHARS} karakter` });
+            return;
+        }
+        return keywords;
+    },
+
+    schedules(value, rule, path, errors) {
+        if (!Array.isArray(value)) {
+            errors.push({ key: path, message: 'harus daftar jadwal' });
+            return;
+        }
+
+        const schedules = [];
+        value.forEach((window, index) => {
+            const windowPath = `${path}[${index}]`;
+            const valid = isPlainObject(window) &&
+                typeof window.id === 'string' && window.id !== '' &&
+                (window.label === undefined || typeof window.label === 'string') &&
+                Array.isArray(window.days) &&
+                window.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+                isTime(window.start) && isTime(window.end) &&
+                isPlainObject(window.settings) &&
+                (window.enabled === undefined || typeof window.enabled === 'boolean');
+
+            if (!valid) {
+                errors.push({ key: windowPath, message: 'bukan jadwal yang valid' });
+                return;
+            }
+            schedules.push({
+                ...window,
+                settings: checkScopedSettings(window.settings, `${windowPath}.settings`, 'tidak dapat diatur per jadwal', errors)
+            });
+        });
+        return schedules;
+    }
+};
+
+function checkValue(rule, value, path, errors) {
+    return CHECKERS[rule.type](value, rule, path, errors);
+}
+
+// Settings a site override or schedule window replaces: any protection
+// setting, but none of SITE_SCOPE_KEYS
+function checkScopedSettings(value, path, scopeMessage, errors) {
+    const checked = {};
+    for (const [key, setting] of Object.entries(value)) {
+        if (SITE_SCOPE_KEYS.includes(key) || !SETTINGS_SCHEMA[key]) {
+            errors.push({ key: `${path}.${key}`, message: scopeMessage });
+            continue;
+        }
+        const result = checkValue(SETTINGS_SCHEMA[key], setting, `${path}.${key}`, errors);
+        if (result !== undefined) checked[key] = result;
+    }
+    return checked;
+}
+
+// Check settings against the schema. Returns the settings that passed, which
+// may be a partial set, and one { key, message } per rejected value.
+// Unknown keys are reported and dropped.
+export function validateSettings(input) {
+    const settings = {};
+    const errors = [];
+
+    if (!isPlainObject(input)) {
+        errors.push({ key: '', message: 'bukan objek pengaturan' });
+        return { settings, errors };
+    }
+
+    for (const [key, value] of Object.entries(input)) {
+        if (key === 'schemaVersion') {
+            if (value > SETTINGS_VERSION) {
+                errors.push({ key, message: 'dibuat oleh versi HalalVision yang lebih baru' });
+            }
+            continue;
+        }
+
+        if (!SETTINGS_SCHEMA[key]) {
+            errors.push({ key, message: 'tidak dikenal' });
+            continue;
+        }
+
+        const checked = checkValue(SETTINGS_SCHEMA[key], value, key, errors);
+        if (checked !== undefined) settings[key] = checked;
+    }
+
+    return { settings, errors };
+}
+
+// Bring stored settings up to date: migrate, drop what no longer validates
+// and fill every missing key from the defaults
+export function repairSettings(stored, defaults) {
+    const { settings, errors } = validateSettings(migrateSettings(stored));
+    return {
+        settings: { ...defaults, ...settings, schemaVersion: SETTINGS_VERSION },
+        errors
+    };
+}
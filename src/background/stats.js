@@ -0,0 +1,148 @@
+// Statistics
+// Content scripts report events here instead of writing counters themselves,
+// so concurrent tabs cannot overwrite each other's counts. Writes run one at a
+// time through a promise chain, and every event is queued for the next write
+// as it arrives; events that come in while a write is running are merged into
+// the one after it, so a busy page does not cost a write per image. Besides
+// all-time totals (storage key
+// 'stats'), counts are kept per day and per domain in 'statsHistory':
+//   { 'YYYY-MM-DD': { 'example.com': { images, videos, reveals, faces, bodies, men, women } } }
+
+const TOTALS_KEY = 'stats';
+const HISTORY_KEY = 'statsHistory';
+const HISTORY_DAYS = 90;
+
+export const STAT_FIELDS = ['images', 'videos', 'reveals', 'faces', 'bodies', 'men', 'women'];
+
+// Event type -> all-time counter shown in the popup
+const TOTAL_FIELDS = {
+    image: 'imagesProcessed',
+    video: 'videosProcessed',
+    reveal: 'reveals'
+};
+
+const EMPTY_TOTALS = { imagesProcessed: 0, videosProcessed: 0, reveals: 0 };
+
+let pendingUpdate = Promise.resolve();
+// Counts not yet written: { totals, history } in the stored shapes
+let pendingCounts = null;
+let writeQueued = false;
+
+// Local calendar day, so "today" matches the user's clock
+function dayKey(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function getDomain(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '') || 'lainnya';
+    } catch {
+        return 'lainnya';
+    }
+}
+
+function pruneHistory(history) {
+    const oldest = new Date();
+    oldest.setDate(oldest.getDate() - HISTORY_DAYS + 1);
+    const cutoff = dayKey(oldest);
+    Object.keys(history).forEach(day => {
+        if (day < cutoff) delete history[day];
+    });
+}
+
+function emptyCounts() {
+    return Object.fromEntries(STAT_FIELDS.map(field => [field, 0]));
+}
+
+function addCounts(target, counts) {
+    STAT_FIELDS.forEach(field => {
+        target[field] = (target[field] || 0) + (counts[field] || 0);
+    });
+}
+
+async function writeCounts(counts) {
+    const { [TOTALS_KEY]: totals, [HISTORY_KEY]: history } =
+        await chrome.storage.local.get([TOTALS_KEY, HISTORY_KEY]);
+    const nextTotals = { ...EMPTY_TOTALS, ...totals };
+    const nextHistory = history || {};
+
+    Object.entries(counts.totals).forEach(([field, value]) => {
+        nextTotals[field] += value;
+    });
+    Object.entries(counts.history).forEach(([day, domains]) => {
+        if (!nextHistory[day]) nextHistory[day] = {};
+        Object.entries(domains).forEach(([domain, domainCounts]) => {
+            if (!nextHistory[day][domain]) nextHistory[day][domain] = emptyCounts();
+            addCounts(nextHistory[day][domain], domainCounts);
+        });
+    });
+
+    pruneHistory(nextHistory);
+    await chrome.storage.local.set({ [TOTALS_KEY]: nextTotals, [HISTORY_KEY]: nextHistory });
+}
+
+// Queue a write of everything counted so far; resolves once it is stored
+function flushStats() {
+    if (pendingCounts && !writeQueued) {
+        writeQueued = true;
+        pendingUpdate = pendingUpdate
+            .then(() => {
+                // Taken when the write starts, so it includes events that
+                // arrived while the previous write was running
+                const counts = pendingCounts;
+                pendingCounts = null;
+                writeQueued = false;
+                return counts && writeCounts(counts);
+            })
+            .catch(error => console.warn('🕌 HalalVision: Could not record statistics:', error));
+    }
+    return pendingUpdate;
+}
+
+// event: { type: 'image' | 'video' | 'reveal', detections?: { faces, bodies, men, women } }
+export function recordStat(event, pageUrl) {
+    const totalField = TOTAL_FIELDS[event?.type];
+    if (!totalField) return;
+
+    if (!pendingCounts) pendingCounts = { totals: {}, history: {} };
+    const { totals, history } = pendingCounts;
+    totals[totalField] = (totals[totalField] || 0) + 1;
+
+    const today = dayKey();
+    if (!history[today]) history[today] = {};
+    const domain = getDomain(pageUrl);
+    if (!history[today][domain]) history[today][domain] = emptyCounts();
+    const counts = history[today][domain];
+    counts[`${event.type}s`]++;
+
+    // Detections behind a blurred image or video, by category
+    const detections = event.detections || {};
+    ['faces', 'bodies', 'men', 'women'].forEach(field => {
+        counts[field] += Math.max(0, Math.floor(detections[field]) || 0);
+    });
+
+    return flushStats();
+}
+
+// All-time totals plus today's counts summed over every domain
+export async function getStats() {
+    await flushStats();
+    const { [TOTALS_KEY]: totals, [HISTORY_KEY]: history } =
+        await chrome.storage.local.get([TOTALS_KEY, HISTORY_KEY]);
+
+    const today = { ...EMPTY_TOTALS };
+    Object.values(history?.[dayKey()] || {}).forEach(counts => {
+        today.imagesProcessed += counts.images;
+        today.videosProcessed += counts.videos;
+        today.reveals += counts.reveals;
+    });
+
+    return { stats: { ...EMPTY_TOTALS, ...totals }, today };
+}
+
+export async function getStatsHistory() {
+    await flushStats();
+    const { [HISTORY_KEY]: history } = await chrome.storage.local.get(HISTORY_KEY);
+    return history || {};
+}
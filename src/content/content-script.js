@@ -7,10 +7,18 @@
     // Configuration
     let settings = null;
     let isInitialized = false;
+    let isInitializing = false;
     let detector = null;
+    let videoProcessor = null;
     let observer = null;
     let processedElements = new WeakSet();
     let blurredElements = new Map();
+    // Source URL last analyzed for non-<img> targets (backgrounds, posters, ...)
+    let processedSources = new WeakMap();
+    // Blob URLs of blurred copies we swapped into the page
+    const ownObjectUrls = new Set();
+    // Media kinds blurred with a wrapper and overlay; the rest are swapped in place
+    const WRAPPED_MEDIA_KINDS = ['img', 'canvas'];
 
     // UI Manager Class
     class HalalVisionUI {
@@ -158,7 +166,7 @@
         }
 
         finish() {
-            if (this.isFinished) return;
+            if (this.isFinished || !this.overlay) return;
             this.isFinished = true;
             this.log('🕌 HalalVision: Pemindaian selesai. Menghapus overlay...', 'success');
 
@@ -196,10 +204,13 @@
         if (msg.includes('🕌 HalalVision:')) ui.log(msg, 'error');
     };
 
-    // Get settings from background
+    // Get settings from background, resolved for this page (blacklisted sites come back strict)
     async function getSettings() {
         return new Promise((resolve) => {
-            chrome.runtime.sendMessage({ action: 'getSettings' }, (response) => {
+            chrome.runtime.sendMessage({
+                action: 'getSettings',
+                url: window.location.href
+            }, (response) => {
                 resolve(response.settings);
             });
         });
@@ -207,472 +218,707 @@
 
     // Check if current site is whitelisted
     async function checkWhitelist() {
-        const domain = window.location.hostname;
         return new Promise((resolve) => {
             chrome.runtime.sendMessage({
-                action: 'isWhitelisted',
-                domain
+                action: 'getSiteStatus',
+                url: window.location.href
             }, (response) => {
                 resolve(response.isWhitelisted);
             });
         });
     }
 
-    // ML Detector Class
+    // Persistent image rules kept by the service worker (background/image-rules.js)
+    async function getImageRules() {
+        return new Promise((resolve) => {
+            chrome.runtime.sendMessage({ action: 'getImageRules' }, (response) => {
+                resolve(response && response.rules);
+            });
+        });
+    }
+
+    // Intrinsic pixel size of an image, video frame or canvas
+    function getMediaSize(element) {
+        return {
+            width: element.naturalWidth || element.videoWidth || element.width || 0,
+            height: element.naturalHeight || element.videoHeight || element.height || 0
+        };
+    }
+
+    // Expand a run-length encoded mask from the inference host back into
+    // BodyPix's { width, height, data } shape
+    function decodeSegmentation(encoded) {
+        if (!encoded) return null;
+        const data = new Uint8Array(encoded.width * encoded.height);
+        let offset = 0;
+        encoded.runs.forEach((length, index) => {
+            if (index % 2 === 1) data.fill(1, offset, offset + length);
+            offset += length;
+        });
+        return { width: encoded.width, height: encoded.height, data };
+    }
+
+    // The settings the inference host decides with
+    function getDetectionSettings() {
+        return {
+            blurFaces: settings.blurFaces,
+            blurBodies: settings.blurBodies,
+            blurMen: settings.blurMen,
+            blurWomen: settings.blurWomen,
+            detectionSensitivity: settings.detectionSensitivity,
+            unmatchedBodyPolicy: settings.unmatchedBodyPolicy,
+            // This page's mode; it sets the host's input sizes per request
+            performanceMode: settings.performanceMode
+        };
+    }
+
+    // Ask the service worker to relay a request to the shared inference host
+    function sendToHost(message, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`${message.action} timed out`)), timeoutMs);
+            chrome.runtime.sendMessage(message, (response) => {
+                clearTimeout(timer);
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else if (!response || response.error) {
+                    reject(new Error(response?.error || 'No response from inference host'));
+                } else {
+                    resolve(response.result);
+                }
+            });
+        });
+    }
+
+    // Until the host answers: the 'balanced' preset
+    const DEFAULT_DETECTOR_PRESET = { maxPixels: 1024 * 1024, videoSampleIntervalMs: 500 };
+
+    // ML Detector Client
+    // The models live once in the offscreen inference host (src/offscreen);
+    // this class encodes frames, sends them there and maps results back.
     class HalalVisionDetector {
         constructor() {
             this.isLoaded = false;
-            // FaceAPI models
-            this.modelsLoaded = false;
+            // Pixel cap and video pace of each performance mode, from the host
+            this.presets = {};
         }
 
+        // The host loads its models for the global performance mode, which
+        // the service worker supplies
         async initialize() {
             try {
-                console.log('🕌 HalalVision: Checking dependencies...');
-
-                // Helper to wait for tf_full (our renamed TensorFlow.js)
-                let tfRetry = 0;
-                while (typeof tf_full === 'undefined' && tfRetry < 20) {
-                    await new Promise(r => setTimeout(r, 200));
-                    tfRetry++;
-                }
-
-                if (typeof tf_full === 'undefined') {
-                    console.error('🕌 HalalVision: TensorFlow.js (tf_full) not found in window');
-                    throw new Error('tf_full not found');
-                }
-                console.log('🕌 HalalVision: TensorFlow.js (tf_full) loaded');
+                console.log('🕌 HalalVision: Menghubungkan ke mesin AI...');
+                const status = await sendToHost({ action: 'initDetector' }, 65000);
 
-                // Helper to wait for global faceapi if needed
-                let retry = 0;
-                while (typeof faceapi === 'undefined' && retry < 20) {
-                    await new Promise(r => setTimeout(r, 200));
-                    retry++;
-                }
+                this.isLoaded = status.ready;
+                this.presets = status.presets || {};
 
-                if (typeof faceapi === 'undefined') {
-                    console.error('🕌 HalalVision: face-api.js not found in window');
-                    throw new Error('face-api.js not found');
+                if (this.isLoaded) {
+                    console.log('🕌 HalalVision: AI Models (Face-API + BodyPix) READY');
+                } else {
+                    console.error('🕌 HalalVision: Model load failed in inference host');
                 }
-                console.log('🕌 HalalVision: Face-API loaded');
-
-                // Load models from local extension directory
-                const modelPath = chrome.runtime.getURL('libs/models');
-                console.log('🕌 HalalVision: Loading models from:', modelPath);
-
-                await Promise.all([
-                    faceapi.nets.tinyFaceDetector.loadFromUri(modelPath),
-                    faceapi.nets.ageGenderNet.loadFromUri(modelPath)
-                ]).then(() => {
-                    console.log('🕌 HalalVision: Face-API models loaded successfully');
-                }).catch(err => {
-                    console.error('🕌 HalalVision: Error loading Face-API models:', err);
-                    throw err;
-                });
+            } catch (error) {
+                console.error('🕌 HalalVision: Model load failed:', error);
+                this.isLoaded = false;
+            }
+        }
 
-                // tf_full should have loadGraphModel as it is the full TFJS lib
-                // Debug available keys
-                console.log('🕌 HalalVision: tf_full keys:', Object.keys(tf_full).filter(k => k.startsWith('load') || k === 'io'));
+        // Limits of this page's performance mode, which a site override may set
+        get preset() {
+            return this.presets[settings.performanceMode] || DEFAULT_DETECTOR_PRESET;
+        }
 
-                if (!tf_full.loadGraphModel) {
-                    if (tf_full.io && tf_full.io.loadGraphModel) {
-                        console.log('🕌 HalalVision: Found loadGraphModel under tf_full.io, shimming...');
-                        tf_full.loadGraphModel = tf_full.io.loadGraphModel;
-                    } else {
-                        console.error('🕌 HalalVision: tf_full is defined but missing loadGraphModel. This is unexpected for the full version.');
-                        // Fallback check global tf
-                        if (typeof tf !== 'undefined' && tf.loadGraphModel) {
-                            console.log('🕌 HalalVision: Found global tf.loadGraphModel, aliasing...');
-                            tf_full.loadGraphModel = tf.loadGraphModel;
-                        }
-                    }
-                }
+        // Draw the element into a canvas no larger than the host's pixel cap
+        prepareInput(element) {
+            const { width, height } = getMediaSize(element);
+            const scale = Math.min(1, Math.sqrt(this.preset.maxPixels / Math.max(1, width * height)));
 
-                // Also load BodyPix (it uses tf global)
-                if (typeof bodyPix !== 'undefined') {
-                    console.log('🕌 HalalVision: Loading BodyPix...');
-                    // BodyPix needs tf.loadGraphModel
-                    this.bodyModel = await bodyPix.load({
-                        architecture: 'MobileNetV1',
-                        outputStride: 16,
-                        multiplier: 0.5,
-                        quantBytes: 2
-                    });
-                    console.log('🕌 HalalVision: BodyPix loaded');
-                } else {
-                    console.warn('🕌 HalalVision: BodyPix not found');
-                }
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(width * scale));
+            canvas.height = Math.max(1, Math.round(height * scale));
+            canvas.getContext('2d').drawImage(element, 0, 0, canvas.width, canvas.height);
+            return canvas;
+        }
 
-                this.isLoaded = true;
-                console.log('🕌 HalalVision: AI Models (Face-API + BodyPix) READY');
+        // The host input for a source: its pixels as a JPEG, or only its URL
+        // when the pixels cannot be read here
+        encodeSource(sourceElement, sourceUrl) {
+            try {
+                return { image: this.prepareInput(sourceElement).toDataURL('image/jpeg', 0.92), imageUrl: null };
             } catch (error) {
-                console.error('🕌 HalalVision: Model load failed:', error);
-                this.isLoaded = false;
+                // A cross-origin (tainted) source cannot be read here, but the
+                // service worker can fetch the same URL with the extension's permissions
+                if (error.name !== 'SecurityError' || !sourceUrl) throw error;
+                return { image: null, imageUrl: sourceUrl };
             }
         }
 
-        async analyzeImage(imageElement) {
+        // Raw face and body scores for a feedback report (see reportDetection)
+        async diagnose(sourceElement, sourceUrl = null) {
+            if (!this.isLoaded) throw new Error('Detector not loaded');
+            return sendToHost({
+                action: 'diagnose',
+                ...this.encodeSource(sourceElement, sourceUrl),
+                settings: getDetectionSettings()
+            }, 25000);
+        }
+
+        // Detection settings that change what the host returns; cached
+        // results are only reused under the same fingerprint. The service
+        // worker adds the global mode the host's models were loaded for.
+        getFingerprint() {
+            return [
+                settings.performanceMode,
+                settings.detectionSensitivity,
+                settings.blurFaces,
+                settings.blurBodies,
+                settings.blurMen,
+                settings.blurWomen,
+                settings.unmatchedBodyPolicy
+            ].join('|');
+        }
+
+        // cacheUrl: resolved http(s) URL of the source. Results are cached under
+        // it, and the service worker fetches it for the host when the pixels are cross-origin.
+        async analyzeImage(sourceElement, cacheUrl = null) {
+            // No verdict without the models: callers keep the media covered
+            if (!this.isLoaded) throw new Error('Detector not loaded');
+
             const results = {
                 faces: [],
+                people: [],
                 bodySegmentation: null,
-                shouldBlur: false,
-                isFallback: !this.isLoaded
+                shouldBlur: false
             };
 
-            if (!this.isLoaded) {
-                console.warn('🕌 HalalVision: Detector not loaded, skipping analysis');
-                return results;
+            const fingerprint = this.getFingerprint();
+            let hostResults = null;
+
+            if (cacheUrl) {
+                hostResults = await sendToHost({
+                    action: 'getCachedDetection',
+                    url: cacheUrl,
+                    fingerprint
+                }, 5000).catch(() => null);
             }
 
-            try {
-                // 1. Detect Faces & Gender with Face-API
-                if (settings.blurFaces || settings.blurMen || settings.blurWomen) {
-                    // Detect all faces with gender
-                    const detections = await faceapi.detectAllFaces(
-                        imageElement,
-                        new faceapi.TinyFaceDetectorOptions({ inputSize: 416, scoreThreshold: 0.3 })
-                    ).withAgeAndGender();
-
-                    if (detections.length > 0) {
-                        console.log(`🕌 HalalVision: Detected ${detections.length} faces`);
-                    }
+            if (!hostResults) {
+                hostResults = await sendToHost({
+                    action: 'detect',
+                    ...this.encodeSource(sourceElement, cacheUrl),
+                    settings: getDetectionSettings(),
+                    cache: cacheUrl ? { url: cacheUrl, fingerprint } : null
+                }, 25000);
+            }
 
-                    for (const detection of detections) {
-                        const { gender, genderProbability } = detection;
-                        const box = detection.detection.box;
+            // Host coordinates are in the pixels of the frame it analyzed; map back to the original
+            const scale = hostResults.width / Math.max(1, getMediaSize(sourceElement).width) || 1;
+            results.faces = hostResults.faces.map(face => ({
+                ...face,
+                topLeft: [face.topLeft[0] / scale, face.topLeft[1] / scale],
+                bottomRight: [face.bottomRight[0] / scale, face.bottomRight[1] / scale]
+            }));
+            // Per-person summaries: bbox [x, y, width, height], whether a face was matched, flagged
+            results.people = (hostResults.people || []).map(person => ({
+                ...person,
+                bbox: person.bbox.map(value => value / scale)
+            }));
+            results.bodySegmentation = decodeSegmentation(hostResults.bodySegmentation);
+            results.shouldBlur = hostResults.shouldBlur;
+            // Readable copy of a cross-origin source the service worker fetched for analysis
+            results.fetchedImage = hostResults.fetchedImage || null;
+            return results;
+        }
+    }
 
-                        console.log(`🕌 HalalVision: Gender detected: ${gender} (${(genderProbability * 100).toFixed(1)}%)`);
+    // Pixel Worker
+    // Runs image-processor.js in a Worker so blurring large photos does not
+    // block the page. The worker is built from the already-loaded library
+    // source; pages whose CSP forbids blob: workers get the same code on the
+    // main thread instead.
+    const imageProcessor = self.HalalVisionImageProcessor;
 
-                        // Strict Gender Logic
-                        // Default to safe if probability is low (< 0.7) -> Treat as "Unknown"
-                        let effectiveGender = gender;
-                        if (genderProbability < 0.7) {
-                            effectiveGender = 'unknown';
-                            console.log(`🕌 HalalVision: Low confidence detection (${(genderProbability * 100).toFixed(1)}%), treating as unknown`);
-                        }
+    class PixelWorker {
+        constructor() {
+            this.worker = null;
+            this.unavailable = false;
+            this.pending = new Map();
+            this.nextId = 1;
+        }
 
-                        let shouldBlurFace = false;
+        start() {
+            if (this.worker || this.unavailable) return this.worker;
 
-                        if (settings.blurFaces) {
-                            // If "Blur All Faces" is on, we blur regardless of gender
-                            shouldBlurFace = true;
-                        } else {
-                            // Specific gender targeting
-                            if (settings.blurMen && effectiveGender === 'male') {
-                                shouldBlurFace = true;
-                                console.log(`🕌 HalalVision: Flagged male face for blurring`);
-                            }
-                            if (settings.blurWomen && effectiveGender === 'female') {
-                                shouldBlurFace = true;
-                                console.log(`🕌 HalalVision: Flagged female face for blurring`);
-                            }
+            try {
+                const source = `${createImageProcessor.toString()}\ncreateImageProcessor(self);`;
+                this.workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+                this.worker = new Worker(this.workerUrl);
+                this.worker.onmessage = (event) => this.settle(event.data);
+                // A CSP block is reported here, after construction succeeded
+                this.worker.onerror = () => this.disable();
+            } catch (error) {
+                this.disable();
+            }
+            return this.worker;
+        }
 
-                            // If we have a confident "unknown" or if settings are strict?
-                            // For now, let's stick to confident detections to avoid user annoyance.
-                        }
+        disable() {
+            this.unavailable = true;
+            if (this.worker) this.worker.terminate();
+            if (this.workerUrl) URL.revokeObjectURL(this.workerUrl);
+            this.worker = null;
 
-                        if (shouldBlurFace) {
-                            // Convert FaceAPI box to our format
-                            results.faces.push({
-                                topLeft: [box.x, box.y],
-                                bottomRight: [box.x + box.width, box.y + box.height]
-                            });
-                        }
-                    }
-                }
+            // Finish whatever was queued on the main thread
+            for (const { job, resolve, reject } of this.pending.values()) {
+                imageProcessor.render(job).then(resolve, reject).finally(() => job.bitmap.close());
+            }
+            this.pending.clear();
+        }
 
-                // 2. Body Detection (BodyPix)
-                // Only run if we need to blur bodies
-                if (settings.blurBodies) {
-                    // Logic: If we found faces that needed blurring, we likely want to blur the body too.
-                    // If we found faces that were SAFE (e.g. valid gender), we might NOT want to blur the body.
+        settle({ id, result, error }) {
+            const request = this.pending.get(id);
+            if (!request) return;
+            this.pending.delete(id);
+            request.job.bitmap.close();
 
-                    // Complex Case: A mixed photo (User wants to blur Women, photo has Man + Woman).
-                    // Face-API handles faces fine. BodyPix segments *everyone* as one mask usually (or id map).
-                    // BodyPix "person segmentation" doesn't distinguish gender.
+            if (error) {
+                request.reject(Object.assign(new Error(error.message), { name: error.name }));
+            } else {
+                request.resolve(result);
+            }
+        }
 
-                    // Strategy: 
-                    // If ANY face was flagged to be blurred, we blur the body for safety.
-                    // If NO faces were detected at all (e.g. back shot), we blur the body if blurBodies is ON.
-                    // If FACES were detected but ALL were determined SAFE (e.g. Men only, and blurMen is OFF),
-                    // then we skip body blur to avoid blurring the "good" subjects.
+        // The bitmap is cloned rather than transferred, so the job can still be
+        // rendered here if the worker turns out to be blocked
+        render(job) {
+            if (!this.start()) {
+                return imageProcessor.render(job).finally(() => job.bitmap.close());
+            }
 
-                    let runBodyPix = false;
+            const id = this.nextId++;
+            return new Promise((resolve, reject) => {
+                this.pending.set(id, { job, resolve, reject });
+                try {
+                    this.worker.postMessage({ id, job });
+                } catch (error) {
+                    // e.g. DataCloneError for a bitmap that is not origin-clean
+                    this.pending.delete(id);
+                    job.bitmap.close();
+                    reject(error);
+                }
+            });
+        }
+    }
 
-                    if (results.faces.length > 0) {
-                        // We found bad faces, so we definitely need to blur their bodies if possible
-                        runBodyPix = true;
-                    } else {
-                        // No bad faces found. 
-                        // Did we find ANY faces? 
-                        const allFaces = await faceapi.detectAllFaces(
-                            imageElement,
-                            new faceapi.TinyFaceDetectorOptions({ inputSize: 224, scoreThreshold: 0.3 })
-                        );
-
-                        if (allFaces.length === 0) {
-                            // No faces at all. Could be a headless body shot.
-                            // Blur if blurBodies is ON.
-                            runBodyPix = true;
-                        } else {
-                            // We found faces, but none were added to results.faces
-                            // This means they were all "Safe" genders.
-                            // So we DO NOT blur the body.
-                            runBodyPix = false;
-                        }
-                    }
+    const pixelWorker = new PixelWorker();
+
+    // Guarded Reveal
+    // How a blurred image can be uncovered from its badge (settings.revealMode):
+    // 'hold' peeks only while pressed, 'confirm' asks first, 'click' toggles and
+    // 'disabled' keeps it covered. Anything uncovered is covered again after
+    // autoReblurSeconds, or once it scrolls out of view.
+    const REVEAL_BADGE_TITLES = {
+        hold: 'Dilindungi HalalVision - tahan untuk melihat sekilas',
+        confirm: 'Dilindungi HalalVision - klik untuk membuka',
+        click: 'Dilindungi HalalVision - klik untuk membuka/menutup',
+        disabled: 'Dilindungi HalalVision'
+    };
 
-                    if (runBodyPix) {
-                        results.bodySegmentation = await this.segmentBody(imageElement);
-                    }
-                }
+    const revealCovers = new WeakMap(); // wrapper -> cover()
+    const revealedCovers = new Set(); // cover() of everything uncovered right now
+    const revealObserver = new IntersectionObserver((entries) => {
+        for (const entry of entries) {
+            if (!entry.isIntersecting) revealCovers.get(entry.target)?.();
+        }
+    });
 
-                results.shouldBlur = results.faces.length > 0 ||
-                    (results.bodySegmentation && this.hasPersonInSegmentation(results.bodySegmentation));
+    // setCovered(covered) shows or hides the blur. Returns a cleanup function.
+    function attachRevealControls(wrapper, badge, setCovered) {
+        const mode = settings.revealMode || 'hold';
+        let revealed = false;
+        let timer = null;
+
+        badge.title = REVEAL_BADGE_TITLES[mode] || REVEAL_BADGE_TITLES.disabled;
+        badge.dataset.hvReveal = mode;
+
+        const cover = () => {
+            if (!revealed) return;
+            revealed = false;
+            revealedCovers.delete(cover);
+            clearTimeout(timer);
+            revealObserver.unobserve(wrapper);
+            setCovered(true);
+        };
 
-            } catch (err) {
-                // console.warn('Detection skipped:', err); // Suppress noise
+        const reveal = (guarded) => {
+            if (revealed) return;
+            revealed = true;
+            revealedCovers.add(cover);
+            setCovered(false);
+            updateStats('reveal');
+
+            // A hold ends on release; other reveals need their own way back
+            if (!guarded) return;
+            if (settings.autoReblurSeconds > 0) {
+                timer = setTimeout(cover, settings.autoReblurSeconds * 1000);
+            }
+            if (settings.reblurOnScrollAway !== false) {
+                revealCovers.set(wrapper, cover);
+                revealObserver.observe(wrapper);
             }
+        };
 
-            return results;
+        // The badge often sits inside a link; never let it navigate
+        badge.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+
+            if (mode === 'click') {
+                revealed ? cover() : reveal(true);
+            } else if (mode === 'confirm') {
+                revealed ? cover() : showRevealConfirm(wrapper, () => reveal(true));
+            }
+        });
+
+        if (mode === 'hold') {
+            badge.addEventListener('pointerdown', (e) => {
+                e.stopPropagation();
+                e.preventDefault();
+                badge.setPointerCapture(e.pointerId);
+                reveal(false);
+            });
+            ['pointerup', 'pointercancel', 'lostpointercapture'].forEach(type => {
+                badge.addEventListener(type, cover);
+            });
         }
 
-        async segmentBody(imageElement) {
-            if (!this.bodyModel) return null;
-            try {
-                return await this.bodyModel.segmentPerson(imageElement, {
-                    internalResolution: 'medium',
-                    segmentationThreshold: 0.7,
-                    scoreThreshold: 0.5
-                });
-            } catch (e) { return null; }
+        return () => {
+            clearTimeout(timer);
+            revealObserver.unobserve(wrapper);
+            revealCovers.delete(wrapper);
+            revealedCovers.delete(cover);
+        };
+    }
+
+    // Cover everything that was revealed, and close open reveal prompts
+    function reblurAll() {
+        [...revealedCovers].forEach(cover => cover());
+        document.querySelectorAll('.halal-vision-confirm').forEach(dialog => dialog.remove());
+    }
+
+    function showRevealConfirm(wrapper, onConfirm) {
+        if (wrapper.querySelector('.halal-vision-confirm')) return;
+
+        const dialog = document.createElement('div');
+        dialog.classList.add('halal-vision-confirm');
+        dialog.innerHTML = `
+            <p>Tampilkan konten yang diblur?</p>
+            <div class="halal-vision-confirm-actions">
+                <button type="button" data-action="cancel">Batal</button>
+                <button type="button" data-action="reveal">Tampilkan</button>
+            </div>
+        `;
+        dialog.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            const action = e.target.dataset && e.target.dataset.action;
+            if (!action) return;
+            dialog.remove();
+            if (action === 'reveal') onConfirm();
+        });
+        wrapper.appendChild(dialog);
+    }
+
+    // Panic Shield
+    // Covers the whole viewport at once, text, iframes and canvases included,
+    // for content the detector has not caught (yet). Every frame pauses its
+    // media and keeps it paused; only the top frame draws the cover. The
+    // service worker tracks panic per tab, so the state survives reloads
+    // and lasts until dismissed.
+    class PanicShield {
+        constructor() {
+            this.active = false;
+            this.element = null;
+            this.button = null;
+            this.guard = null;
+            this.mediaRoots = [];
+            // 'play' does not bubble or leave shadow roots, so it is caught per root
+            this.onPlay = (e) => {
+                if (e.target.pause) e.target.pause();
+            };
         }
 
-        hasPersonInSegmentation(segmentation) {
-            if (!segmentation || !segmentation.data) return false;
-            const personPixelCount = segmentation.data.filter(val => val > 0).length;
-            const threshold = segmentation.data.length * 0.005; // 0.5% coverage
-            return personPixelCount > threshold;
+        show() {
+            if (this.active) return;
+            this.active = true;
+
+            this.mediaRoots = [document, ...shadowRoots];
+            this.mediaRoots.forEach(root => {
+                root.addEventListener('play', this.onPlay, true);
+                root.querySelectorAll('video, audio').forEach(media => media.pause());
+            });
+
+            if (window === window.top) this.attachCover();
+        }
+
+        attachCover() {
+            this.element = document.createElement('div');
+            this.element.classList.add('halal-vision-panic');
+            this.element.innerHTML = `
+                <div class="halal-vision-panic-content">
+                    <div class="halal-vision-panic-icon">🕌</div>
+                    <p>Mode Panik aktif. Halaman ditutup dan semua media dijeda.</p>
+                    <button type="button">Tutup Mode Panik</button>
+                </div>
+            `;
+            // Dismissing goes through the service worker so every frame resumes
+            this.element.querySelector('button').addEventListener('click', () => {
+                chrome.runtime.sendMessage({ action: 'dismissPanic' });
+            });
+            document.documentElement.appendChild(this.element);
+
+            // Pages that rebuild <html> would otherwise drop the cover
+            this.guard = new MutationObserver(() => {
+                if (!this.element.isConnected) document.documentElement.appendChild(this.element);
+            });
+            this.guard.observe(document.documentElement, { childList: true });
         }
 
-        // Removed old methods: detectFaces, classifyGender (replaced by face-api)
+        dismiss() {
+            if (!this.active) return;
+            this.active = false;
+
+            this.mediaRoots.forEach(root => root.removeEventListener('play', this.onPlay, true));
+            this.mediaRoots = [];
+            if (this.guard) this.guard.disconnect();
+            if (this.element) this.element.remove();
+            this.guard = null;
+            this.element = null;
+        }
+
+        // Floating panic button (settings.showPanicButton), top frame only
+        updateButton() {
+            const wanted = Boolean(settings && settings.showPanicButton) && window === window.top;
+            if (!wanted) {
+                if (this.button) this.button.remove();
+                this.button = null;
+                return;
+            }
+            if (this.button) return;
+
+            this.button = document.createElement('button');
+            this.button.type = 'button';
+            this.button.classList.add('halal-vision-panic-button');
+            this.button.title = 'Mode Panik - tutup seluruh halaman';
+            this.button.textContent = '🚨';
+            this.button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                chrome.runtime.sendMessage({ action: 'panic' });
+            });
+            (document.body || document.documentElement).appendChild(this.button);
+        }
     }
 
+    const panicShield = new PanicShield();
+
     // Blur Engine Class
     class BlurEngine {
         constructor() {
-            this.canvas = document.createElement('canvas');
-            this.ctx = this.canvas.getContext('2d');
+            this.svgFilters = null;
+            this.svgFiltersKey = null;
         }
 
-        async applyBlur(element, detectionResults) {
-            if (detectionResults.isFallback) {
-                // Apply a simple full CSS blur if AI isn't ready or failed
-                this.applyCSSBlur(element);
-                return;
-            }
+        // target: a media target from discoverMedia(); plain <img> elements may omit it
+        async applyBlur(element, detectionResults, target = null) {
+            const kind = target ? target.kind : 'img';
 
-            if (element.tagName === 'IMG') {
+            if (kind === 'img') {
+                await this.blurImage(element, detectionResults, getCacheableUrl(element));
+            } else if (WRAPPED_MEDIA_KINDS.includes(kind)) {
                 await this.blurImage(element, detectionResults);
-            } else if (element.tagName === 'VIDEO') {
-                await this.blurVideo(element, detectionResults);
+            } else {
+                await this.blurSource(element, detectionResults, target);
             }
         }
 
-        applyCSSBlur(element) {
+        applyCSSBlur(element, kind = 'img') {
             if (blurredElements.has(element)) return;
 
+            if (!WRAPPED_MEDIA_KINDS.includes(kind)) {
+                // Backgrounds, posters and SVG images are blurred in place; wrapping
+                // a layout container would break the page
+                const originalFilter = element.style.filter;
+                element.style.filter = this.getCSSFilter();
+                blurredElements.set(element, {
+                    restore: () => { element.style.filter = originalFilter; }
+                });
+                return;
+            }
+
             // Just apply a heavy blur to everything if AI is down
-            element.style.filter = `blur(${settings.blurIntensity}px)`;
+            element.dataset.hvOriginalFilter = element.style.filter;
+            element.style.filter = this.getCSSFilter();
             element.style.transition = 'filter 0.3s ease';
 
             // Add a badge to show it's protected
             this.applyBlurredOverlay(element, null, true);
         }
 
-        async blurImage(img, results) {
-            // Create overlay canvas
-            const overlay = document.createElement('canvas');
-            // Use client width/height for display accuracy if natural isn't ready
-            overlay.width = img.naturalWidth || img.width || 300;
-            overlay.height = img.naturalHeight || img.height || 300;
-            const overlayCtx = overlay.getContext('2d');
-
+        // sourceUrl: http(s) URL to fetch a readable copy from if img is cross-origin
+        async blurImage(img, results, sourceUrl = null) {
+            let bitmap;
             try {
-                // Draw original image
-                overlayCtx.drawImage(img, 0, 0, overlay.width, overlay.height);
-
-                // Apply blur based on detection results
-                if (settings.blurFaces && results.faces.length > 0) {
-                    for (const face of results.faces) {
-                        this.blurRegion(overlayCtx, face.topLeft, face.bottomRight);
-                    }
-                }
-
-                if (settings.blurBodies && results.bodySegmentation) {
-                    await this.blurBodyRegions(overlayCtx, results.bodySegmentation, overlay.width, overlay.height);
-                }
-
-                // Apply blurred image
-                this.applyBlurredOverlay(img, overlay);
+                // Draw the original and blur the detected regions
+                bitmap = await this.renderBlurred(img, results, 'bitmap', sourceUrl);
             } catch (err) {
                 console.log('CORS block on canvas, falling back to CSS blur');
                 this.applyCSSBlur(img);
+                return;
             }
-        }
-
-        blurRegion(ctx, topLeft, bottomRight) {
-            const x = topLeft[0];
-            const y = topLeft[1];
-            const width = bottomRight[0] - topLeft[0];
-            const height = bottomRight[1] - topLeft[1];
-
-            // Expand region slightly
-            const padding = Math.max(width, height) * 0.2;
-            const expandedX = Math.max(0, x - padding);
-            const expandedY = Math.max(0, y - padding);
-            const expandedWidth = width + padding * 2;
-            const expandedHeight = height + padding * 2;
-
-            // Get image data for the region
-            const imageData = ctx.getImageData(expandedX, expandedY, expandedWidth, expandedHeight);
 
-            // Apply blur using stack blur algorithm
-            this.stackBlur(imageData.data, expandedWidth, expandedHeight, settings.blurIntensity);
-
-            // Put blurred data back
-            ctx.putImageData(imageData, expandedX, expandedY);
+            // Apply blurred image
+            this.applyBlurredOverlay(img, bitmap);
         }
 
-        async blurBodyRegions(ctx, segmentation, width, height) {
-            // Create mask from segmentation
-            const mask = this.createMaskFromSegmentation(segmentation, width, height);
-
-            // Get full image data
-            const imageData = ctx.getImageData(0, 0, width, height);
-
-            // Create blurred version
-            const blurredData = new Uint8ClampedArray(imageData.data);
-            this.stackBlur(blurredData, width, height, settings.blurIntensity);
-
-            // Apply mask - blur only where person is detected
-            for (let i = 0; i < mask.length; i++) {
-                if (mask[i] > 0) {
-                    const idx = i * 4;
-                    imageData.data[idx] = blurredData[idx];
-                    imageData.data[idx + 1] = blurredData[idx + 1];
-                    imageData.data[idx + 2] = blurredData[idx + 2];
+        // Render the selectively blurred image in the pixel worker, without
+        // touching the page. output: 'bitmap' or 'blob'. Cross-origin sources
+        // are re-rendered from the copy fetched for analysis, or else from a
+        // copy the service worker fetches from sourceUrl.
+        async renderBlurred(source, results, output, sourceUrl = null) {
+            const { width, height } = getMediaSize(source);
+            const size = { resizeWidth: width || 300, resizeHeight: height || 300 };
+
+            // A bitmap of a cross-origin source cannot be posted to the worker
+            // or read there, so such sources are swapped for the fetched copy first
+            let readable = source;
+            if (!canReadPixels(source)) {
+                if (results.fetchedImage) {
+                    readable = await loadImageSource(results.fetchedImage);
+                } else if (sourceUrl) {
+                    readable = await loadReadableCopy(sourceUrl);
+                } else {
+                    throw new DOMException('Cross-origin source', 'SecurityError');
                 }
             }
-
-            ctx.putImageData(imageData, 0, 0);
+            return this.renderBitmap(await createImageBitmap(readable, size), results, output);
         }
 
-        createMaskFromSegmentation(segmentation, width, height) {
-            const mask = new Uint8Array(width * height);
-
-            if (segmentation.data) {
-                for (let i = 0; i < segmentation.data.length; i++) {
-                    mask[i] = segmentation.data[i] > 0 ? 255 : 0;
-                }
-            }
-
-            return mask;
+        renderBitmap(bitmap, results, output) {
+            return pixelWorker.render({
+                bitmap,
+                faces: results.faces,
+                bodySegmentation: results.bodySegmentation,
+                options: {
+                    blurFaces: settings.blurFaces,
+                    blurBodies: settings.blurBodies,
+                    blurStyle: settings.blurStyle,
+                    blurIntensity: settings.blurIntensity,
+                    pixelSize: settings.pixelSize,
+                    coverColor: settings.coverColor,
+                    bodyMaskMargin: settings.bodyMaskMargin
+                },
+                output
+            });
         }
 
-        stackBlur(pixels, width, height, radius) {
-            // Fast stack blur implementation
-            radius = Math.floor(radius);
-            if (radius < 1) return;
-
-            const wm = width - 1;
-            const hm = height - 1;
-            const wh = width * height;
-            const div = radius + radius + 1;
-
-            const r = new Uint8ClampedArray(wh);
-            const g = new Uint8ClampedArray(wh);
-            const b = new Uint8ClampedArray(wh);
-
-            let rsum, gsum, bsum, x, y, i, p, yp, yi, yw;
-            const vmin = new Uint32Array(Math.max(width, height));
-            const vmax = new Uint32Array(Math.max(width, height));
-
-            const divsum = (div + 1) >> 1;
-            divsum *= divsum;
-
-            // Horizontal blur
-            yw = yi = 0;
-            for (y = 0; y < height; y++) {
-                rsum = gsum = bsum = 0;
-
-                for (i = -radius; i <= radius; i++) {
-                    p = (yi + Math.min(wm, Math.max(i, 0))) * 4;
-                    rsum += pixels[p];
-                    gsum += pixels[p + 1];
-                    bsum += pixels[p + 2];
-                }
-
-                for (x = 0; x < width; x++) {
-                    r[yi] = Math.round(rsum / div);
-                    g[yi] = Math.round(gsum / div);
-                    b[yi] = Math.round(bsum / div);
-
-                    if (y === 0) {
-                        vmin[x] = Math.min(x + radius + 1, wm);
-                        vmax[x] = Math.max(x - radius, 0);
-                    }
-
-                    p = (yw + vmin[x]) * 4;
-                    const p2 = (yw + vmax[x]) * 4;
-
-                    rsum += pixels[p] - pixels[p2];
-                    gsum += pixels[p + 1] - pixels[p2 + 1];
-                    bsum += pixels[p + 2] - pixels[p2 + 2];
+        // Swap a CSS background, video poster or SVG <image> for a blurred copy.
+        // The element keeps its box, so layout does not change.
+        async blurSource(element, results, target) {
+            let blob;
+            try {
+                const sourceUrl = /^https?:/i.test(target.url) ? target.url : null;
+                blob = await this.renderBlurred(target.source, results, 'blob', sourceUrl);
+            } catch (err) {
+                console.log('CORS block on canvas, falling back to CSS blur');
+                this.applyCSSBlur(element, target.kind);
+                return;
+            }
 
-                    yi++;
-                }
-                yw += width;
+            const objectUrl = URL.createObjectURL(blob);
+            ownObjectUrls.add(objectUrl);
+
+            this.removeBlur(element);
+
+            let restore;
+            if (target.kind === 'background') {
+                const original = element.style.backgroundImage;
+                const computed = window.getComputedStyle(element).backgroundImage;
+                element.style.backgroundImage = computed.replace(/url\((['"]?)[^'")]*\1\)/, `url("${objectUrl}")`);
+                restore = () => { element.style.backgroundImage = original; };
+            } else if (target.kind === 'poster') {
+                const original = element.getAttribute('poster');
+                element.setAttribute('poster', objectUrl);
+                restore = () => element.setAttribute('poster', original);
+            } else if (target.kind === 'svg-image') {
+                const attribute = element.hasAttribute('href') ? 'href' : 'xlink:href';
+                const original = element.getAttribute(attribute);
+                element.setAttribute(attribute, objectUrl);
+                restore = () => element.setAttribute(attribute, original);
             }
 
-            // Vertical blur
-            for (x = 0; x < width; x++) {
-                rsum = gsum = bsum = 0;
-                yp = -radius * width;
-
-                for (i = -radius; i <= radius; i++) {
-                    yi = Math.max(0, yp) + x;
-                    rsum += r[yi];
-                    gsum += g[yi];
-                    bsum += b[yi];
-                    yp += width;
+            blurredElements.set(element, {
+                sourceUrl: target.url,
+                restore: () => {
+                    restore();
+                    ownObjectUrls.delete(objectUrl);
+                    URL.revokeObjectURL(objectUrl);
                 }
+            });
+        }
 
-                yi = x;
-                for (y = 0; y < height; y++) {
-                    pixels[yi * 4] = Math.round(rsum / div);
-                    pixels[yi * 4 + 1] = Math.round(gsum / div);
-                    pixels[yi * 4 + 2] = Math.round(bsum / div);
-
-                    if (x === 0) {
-                        vmin[y] = Math.min(y + radius + 1, hm) * width;
-                        vmax[y] = Math.max(y - radius, 0) * width;
-                    }
-
-                    const p1 = x + vmin[y];
-                    const p2 = x + vmax[y];
-
-                    rsum += r[p1] - r[p2];
-                    gsum += g[p1] - g[p2];
-                    bsum += b[p1] - b[p2];
+        // CSS equivalent of blurStyle, for elements whose pixels cannot be read
+        getCSSFilter() {
+            switch (settings.blurStyle) {
+                case 'pixelate':
+                    this.ensureSVGFilters();
+                    return 'url(#halalvision-pixelate)';
+                case 'solid':
+                case 'silhouette':
+                    this.ensureSVGFilters();
+                    return 'url(#halalvision-solid)';
+                case 'grayscale':
+                    return `grayscale(1) blur(${settings.blurIntensity}px)`;
+                default:
+                    return `blur(${settings.blurIntensity}px)`;
+            }
+        }
 
-                    yi += width;
-                }
+        // CSS has no mosaic or flat-fill filter, so both are defined once as SVG
+        // filters in the page and rebuilt when their settings change
+        ensureSVGFilters() {
+            const size = Math.max(2, Math.floor(settings.pixelSize));
+            const key = `${size}|${settings.coverColor}`;
+            if (this.svgFilters && this.svgFilters.isConnected && this.svgFiltersKey === key) return;
+
+            if (!this.svgFilters || !this.svgFilters.isConnected) {
+                this.svgFilters = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+                this.svgFilters.setAttribute('aria-hidden', 'true');
+                this.svgFilters.style.cssText = 'position: absolute; width: 0; height: 0; overflow: hidden;';
+                (document.body || document.documentElement).appendChild(this.svgFilters);
             }
+
+            const half = Math.floor(size / 2);
+            this.svgFilters.innerHTML = `
+                <filter id="halalvision-pixelate" x="0" y="0" width="100%" height="100%">
+                    <feFlood x="${half}" y="${half}" width="1" height="1" result="dot"/>
+                    <feComposite in="dot" width="${size}" height="${size}" result="cell"/>
+                    <feTile in="cell" result="grid"/>
+                    <feComposite in="SourceGraphic" in2="grid" operator="in"/>
+                    <feMorphology operator="dilate" radius="${half}"/>
+                </filter>
+                <filter id="halalvision-solid" x="0" y="0" width="100%" height="100%">
+                    <feFlood flood-color="${settings.coverColor}"/>
+                    <feComposite in2="SourceAlpha" operator="in"/>
+                </filter>
+            `;
+            this.svgFiltersKey = key;
         }
 
-        applyBlurredOverlay(originalImg, blurredCanvas, isCSSOnly = false) {
-            if (blurredElements.has(originalImg)) return;
+        applyBlurredOverlay(originalImg, blurredBitmap, isCSSOnly = false) {
+            // Re-rendering (e.g. after a settings change) replaces the old overlay in place
+            if (blurredElements.has(originalImg)) {
+                this.removeBlur(originalImg, true);
+            }
 
             // Create wrapper if not exists
             let wrapper = originalImg.parentElement;
@@ -695,51 +941,103 @@
             }
 
             let overlay = null;
-            if (!isCSSOnly && blurredCanvas) {
-                // Create canvas overlay for selective blur
-                overlay = document.createElement('div');
+            if (!isCSSOnly && blurredBitmap) {
+                // Create canvas overlay for selective blur; the bitmap is handed
+                // over as-is instead of being encoded and decoded again
+                overlay = document.createElement('canvas');
                 overlay.classList.add('halal-vision-overlay');
+                overlay.width = blurredBitmap.width;
+                overlay.height = blurredBitmap.height;
                 overlay.style.cssText = `
                     position: absolute;
                     top: 0;
                     left: 0;
                     width: 100%;
                     height: 100%;
-                    background-image: url(${blurredCanvas.toDataURL()});
-                    background-size: cover;
+                    object-fit: cover;
                     pointer-events: none;
                     z-index: 1000;
                 `;
+                overlay.getContext('bitmaprenderer').transferFromImageBitmap(blurredBitmap);
+                markMedia(overlay, 'clean');
                 wrapper.appendChild(overlay);
             } else {
                 // CSS Fallback - blur the original image directly
-                originalImg.style.filter = `blur(${settings.blurIntensity}px)`;
+                if (originalImg.dataset.hvOriginalFilter === undefined) {
+                    originalImg.dataset.hvOriginalFilter = originalImg.style.filter;
+                }
+                originalImg.style.filter = this.getCSSFilter();
             }
 
             // Add indicator badge
             const badge = document.createElement('div');
             badge.classList.add('halal-vision-badge');
             badge.innerHTML = '🕌';
-            badge.title = 'Dilindungi HalalVision';
 
-            // Toggle blur on badge click
-            badge.addEventListener('click', (e) => {
+            // "Wrong?" control; handled here so it never triggers a reveal
+            const report = document.createElement('span');
+            report.classList.add('halal-vision-report');
+            report.textContent = '?';
+            report.title = 'Salah blur? Laporkan';
+            report.addEventListener('pointerdown', (e) => e.stopPropagation());
+            report.addEventListener('click', (e) => {
                 e.stopPropagation();
+                e.preventDefault();
+                reportDetection('false-positive', originalImg, getCacheableUrl(originalImg));
+            });
+            badge.appendChild(report);
+
+            const detachReveal = attachRevealControls(wrapper, badge, (covered) => {
                 if (overlay) {
-                    overlay.style.display = overlay.style.display === 'none' ? 'block' : 'none';
+                    overlay.style.display = covered ? 'block' : 'none';
                 } else {
-                    originalImg.style.filter = originalImg.style.filter ? '' : `blur(${settings.blurIntensity}px)`;
+                    originalImg.style.filter = covered ? this.getCSSFilter() : '';
                 }
             });
 
             wrapper.appendChild(badge);
 
             // Store reference
-            blurredElements.set(originalImg, { wrapper, overlay, badge });
+            blurredElements.set(originalImg, { wrapper, overlay, badge, detachReveal });
+        }
+
+        removeBlur(element, keepWrapper = false) {
+            const entry = blurredElements.get(element);
+            if (!entry) return;
+
+            if (entry.restore) {
+                entry.restore();
+                blurredElements.delete(element);
+                return;
+            }
+
+            if (entry.detachReveal) entry.detachReveal();
+            if (entry.overlay) entry.overlay.remove();
+            if (entry.badge) entry.badge.remove();
+            if (entry.wrapper) entry.wrapper.querySelector('.halal-vision-confirm')?.remove();
+
+            if (element.dataset.hvOriginalFilter !== undefined) {
+                element.style.filter = element.dataset.hvOriginalFilter;
+                delete element.dataset.hvOriginalFilter;
+            }
+
+            // Put the element back where the wrapper was
+            if (!keepWrapper && entry.wrapper && entry.wrapper.parentNode) {
+                entry.wrapper.parentNode.insertBefore(element, entry.wrapper);
+                entry.wrapper.remove();
+            }
+
+            blurredElements.delete(element);
         }
     }
 
     // Video Processor Class
+    // Samples frames at the performance mode's interval, blurs only the flagged
+    // face and body regions, moves the region overlays as the frames change and
+    // clears them once frames come back clean.
+    const VIDEO_CLEAN_SAMPLES_TO_CLEAR = 2; // consecutive clean samples before overlays go
+    const VIDEO_REGION_PADDING = 0.2;
+
     class VideoProcessor {
         constructor(detector, blurEngine) {
             this.detector = detector;
@@ -748,101 +1046,526 @@
         }
 
         async processVideo(video) {
-            if (this.processingVideos.has(video)) return;
+            const existing = this.processingVideos.get(video);
+            if (existing) {
+                // Resume after protection was switched off and on again
+                if (!video.paused && !existing.unreadable) existing.schedule(0);
+                return;
+            }
 
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
+            const state = {
+                layer: null,
+                regions: [],
+                timer: null,
+                busy: false,
+                cleanSamples: 0,
+                counted: false,
+                unreadable: false,
+                schedule: null
+            };
+            this.processingVideos.set(video, state);
 
-            const process = async () => {
-                if (video.paused || video.ended || !settings.enabled) {
-                    return;
-                }
+            const schedule = (delay) => {
+                clearTimeout(state.timer);
+                if (state.unreadable) return;
+                state.timer = setTimeout(() => this.sampleFrame(video, state, schedule), delay);
+            };
+            state.schedule = schedule;
 
-                canvas.width = video.videoWidth;
-                canvas.height = video.videoHeight;
-                ctx.drawImage(video, 0, 0);
+            video.addEventListener('play', () => schedule(0));
+            video.addEventListener('seeked', () => schedule(0));
+            video.addEventListener('pause', () => clearTimeout(state.timer));
+            video.addEventListener('ended', () => clearTimeout(state.timer));
 
-                try {
-                    const results = await this.detector.analyzeImage(canvas);
+            if (!video.paused) {
+                schedule(0);
+            }
+        }
 
-                    if (results.shouldBlur) {
-                        await this.applyVideoBlur(video, results, canvas);
+        async sampleFrame(video, state, schedule) {
+            if (!settings.enabled || !settings.processVideos) {
+                this.clearRegions(state);
+                return;
+            }
+            if (video.paused || video.ended || state.busy || video.readyState < 2) {
+                if (!video.paused && !video.ended) schedule(this.detector.preset.videoSampleIntervalMs);
+                return;
+            }
+
+            state.busy = true;
+            try {
+                const results = await this.detector.analyzeImage(video);
+                const regions = this.getFlaggedRegions(results);
+                markMedia(video, regions.length > 0 ? 'blurred' : 'clean');
+
+                if (regions.length > 0) {
+                    state.cleanSamples = 0;
+                    this.showRegions(video, state, regions);
+                    if (!state.counted) {
+                        state.counted = true;
+                        updateStats('video', results);
                     }
-                } catch (error) {
+                } else if (++state.cleanSamples >= VIDEO_CLEAN_SAMPLES_TO_CLEAR) {
+                    this.clearRegions(state);
+                }
+            } catch (error) {
+                if (error.name === 'SecurityError') {
+                    // Cross-origin video without CORS: frames cannot be read, stop sampling
+                    state.unreadable = true;
+                    markMedia(video, 'error');
+                    console.warn('🕌 HalalVision: Video lintas-origin tidak dapat dianalisis');
+                } else {
+                    // No verdict for this frame, so blur-first keeps the video hidden
+                    markMedia(video, 'error');
                     console.error('Video processing error:', error);
                 }
+            } finally {
+                state.busy = false;
+            }
+
+            // Sample again after the interval, not in a requestAnimationFrame loop
+            if (!video.paused && !video.ended) {
+                schedule(this.detector.preset.videoSampleIntervalMs);
+            }
+        }
 
-                // Continue processing
-                requestAnimationFrame(process);
+        // Face boxes and flagged body boxes, as [x, y, width, height] in video pixels
+        getFlaggedRegions(results) {
+            if (!results.shouldBlur) return [];
+
+            const regions = [];
+            if (settings.blurFaces || settings.blurMen || settings.blurWomen) {
+                for (const face of results.faces) {
+                    const width = face.bottomRight[0] - face.topLeft[0];
+                    const height = face.bottomRight[1] - face.topLeft[1];
+                    const padding = Math.max(width, height) * VIDEO_REGION_PADDING;
+                    regions.push([face.topLeft[0] - padding, face.topLeft[1] - padding,
+                        width + padding * 2, height + padding * 2]);
+                }
+            }
+            if (settings.blurBodies) {
+                for (const person of results.people) {
+                    if (person.flagged) regions.push(person.bbox);
+                }
+            }
+            return regions;
+        }
+
+        // Where the frame is drawn inside the element, honouring object-fit
+        getContentRect(video) {
+            const width = video.clientWidth;
+            const height = video.clientHeight;
+            const vw = video.videoWidth || width;
+            const vh = video.videoHeight || height;
+            const fit = window.getComputedStyle(video).objectFit;
+
+            if (fit === 'fill') {
+                return { x: 0, y: 0, scaleX: width / vw, scaleY: height / vh };
+            }
+
+            const scale = fit === 'cover'
+                ? Math.max(width / vw, height / vh)
+                : Math.min(width / vw, height / vh);
+            return {
+                x: (width - vw * scale) / 2,
+                y: (height - vh * scale) / 2,
+                scaleX: scale,
+                scaleY: scale
             };
+        }
 
-            this.processingVideos.set(video, true);
+        // The overlay layer is a sibling positioned over the video; wrapping the
+        // video itself would detach it from the document and stop playback
+        ensureLayer(video, state) {
+            if (!state.layer || !state.layer.isConnected) {
+                state.layer = document.createElement('div');
+                state.layer.classList.add('halal-vision-video-layer');
+                video.insertAdjacentElement('afterend', state.layer);
+            }
+
+            const layer = state.layer;
+            layer.style.left = `${video.offsetLeft}px`;
+            layer.style.top = `${video.offsetTop}px`;
+            layer.style.width = `${video.offsetWidth}px`;
+            layer.style.height = `${video.offsetHeight}px`;
+            return layer;
+        }
+
+        showRegions(video, state, regions) {
+            const layer = this.ensureLayer(video, state);
+            const rect = this.getContentRect(video);
+
+            // Reuse existing region elements so they glide to the new position
+            while (state.regions.length < regions.length) {
+                const region = document.createElement('div');
+                region.classList.add('halal-vision-video-region');
+                layer.appendChild(region);
+                state.regions.push(region);
+            }
+            while (state.regions.length > regions.length) {
+                state.regions.pop().remove();
+            }
 
-            video.addEventListener('play', () => {
-                requestAnimationFrame(process);
+            regions.forEach(([x, y, width, height], index) => {
+                const region = state.regions[index];
+                region.dataset.hvStyle = settings.blurStyle;
+                region.style.setProperty('--hv-blur', `${settings.blurIntensity}px`);
+                region.style.setProperty('--hv-color', settings.coverColor);
+                region.style.left = `${rect.x + x * rect.scaleX}px`;
+                region.style.top = `${rect.y + y * rect.scaleY}px`;
+                region.style.width = `${width * rect.scaleX}px`;
+                region.style.height = `${height * rect.scaleY}px`;
+                this.renderRegionContent(video, region, [x, y, width, height], rect);
             });
+        }
 
-            if (!video.paused) {
-                requestAnimationFrame(process);
+        // backdrop-filter covers blur and grayscale; a mosaic has no CSS
+        // equivalent, so pixelated regions hold a tiny copy of the sampled frame
+        // scaled up with image-rendering: pixelated
+        renderRegionContent(video, region, [x, y, width, height], rect) {
+            if (settings.blurStyle === 'pixelate') {
+                let canvas = region.querySelector('canvas');
+                if (!canvas) {
+                    region.textContent = '';
+                    canvas = document.createElement('canvas');
+                    region.appendChild(canvas);
+                }
+                const size = Math.max(2, Math.floor(settings.pixelSize));
+                canvas.width = Math.max(1, Math.ceil(width / size));
+                canvas.height = Math.max(1, Math.ceil(height / size));
+                canvas.getContext('2d').drawImage(video, x, y, width, height, 0, 0, canvas.width, canvas.height);
+            } else if (settings.blurStyle === 'silhouette') {
+                region.textContent = imageProcessor.SILHOUETTE_MARK;
+                region.style.fontSize = `${Math.round(Math.min(width * rect.scaleX, height * rect.scaleY) * 0.5)}px`;
+            } else {
+                region.textContent = '';
             }
         }
 
-        async applyVideoBlur(video, results, canvas) {
-            // Apply CSS blur filter for performance
-            let overlay = video.parentElement.querySelector('.halal-vision-video-overlay');
+        clearRegions(state) {
+            state.regions.forEach(region => region.remove());
+            state.regions = [];
+            state.cleanSamples = 0;
+            if (state.layer) {
+                state.layer.remove();
+                state.layer = null;
+            }
+        }
 
-            if (!overlay) {
-                overlay = document.createElement('div');
-                overlay.classList.add('halal-vision-video-overlay');
-                overlay.style.cssText = `
-                    position: absolute;
-                    top: 0;
-                    left: 0;
-                    width: 100%;
-                    height: 100%;
-                    backdrop-filter: blur(${settings.blurIntensity}px);
-                    -webkit-backdrop-filter: blur(${settings.blurIntensity}px);
-                    pointer-events: none;
-                    z-index: 1000;
-                `;
+        clearAll() {
+            for (const state of this.processingVideos.values()) {
+                clearTimeout(state.timer);
+                this.clearRegions(state);
+            }
+        }
+    }
 
-                // Wrap video if needed
-                if (!video.parentElement.classList.contains('halal-vision-video-wrapper')) {
-                    const wrapper = document.createElement('div');
-                    wrapper.classList.add('halal-vision-video-wrapper');
-                    wrapper.style.cssText = 'position: relative; display: inline-block;';
-                    video.parentNode.insertBefore(wrapper, video);
-                    wrapper.appendChild(video);
-                }
+    // Media Discovery
+    // Everything on a page that can show a photo, as { element, kind, url } targets:
+    //   img        - <img>, including <picture>/srcset through currentSrc
+    //   video      - <video> frames (VideoProcessor)
+    //   poster     - the poster image of a <video> that has not started playing
+    //   background - CSS background-image
+    //   svg-image  - <image> inside inline SVG
+    //   canvas     - <canvas> pixels
+    const MIN_MEDIA_SIZE = 50;
+    const OWN_ELEMENTS_SELECTOR = '.halal-vision-overlay, .halal-vision-badge, .halal-vision-confirm, .halal-vision-video-layer, .halal-vision-panic, .halal-vision-panic-button, .halal-vision-toast, .halal-vision-collapsed, #halalvision-overlay';
+
+    // Finding CSS backgrounds and shadow roots needs computed styles and
+    // layout, so the page is not walked for them on every scan. A subtree is
+    // walked once when it appears (queued by the DOM observer), elements whose
+    // style or class changes are checked on their own, and elements found to
+    // carry a background image are remembered and re-checked on each scan.
+    const backgroundScanQueue = new Map([[document, true]]); // node -> walk its subtree too
+    const backgroundElements = new Set();
+
+    function queueBackgroundScan(node, subtree = true) {
+        if (!backgroundScanQueue.get(node)) backgroundScanQueue.set(node, subtree);
+    }
+
+    // The document and every open shadow root inside it
+    function discoverMedia() {
+        const targets = [];
+        // State markers only matter while blur-first holds media; otherwise
+        // discovery leaves page elements untouched. Markers are written after
+        // all reads, so layout is not recomputed between elements.
+        const marks = isBlurFirstActive() ? [] : null;
+
+        drainBackgroundScans(marks);
+        for (const root of [document, ...shadowRoots]) {
+            if (root === document || root.host.isConnected) collectMediaTargets(root, targets);
+        }
+        collectBackgroundTargets(targets, marks);
+
+        if (marks) marks.forEach(([element, state]) => markMedia(element, state));
+        return targets;
+    }
 
-                video.parentElement.appendChild(overlay);
+    function collectMediaTargets(root, targets) {
+        root.querySelectorAll('img').forEach(img => {
+            targets.push({ element: img, kind: 'img' });
+        });
+
+        root.querySelectorAll('video').forEach(video => {
+            targets.push({ element: video, kind: 'video' });
+            if (video.poster && video.paused && video.currentTime === 0) {
+                addSourceTarget(targets, video, 'poster', video.poster);
+            }
+        });
+
+        root.querySelectorAll('image').forEach(image => {
+            if (!(image instanceof SVGImageElement)) return;
+            const href = image.href.baseVal || image.getAttribute('xlink:href');
+            if (href) addSourceTarget(targets, image, 'svg-image', new URL(href, document.baseURI).href);
+        });
+
+        root.querySelectorAll('canvas').forEach(canvas => {
+            if (!canvas.closest(OWN_ELEMENTS_SELECTOR)) {
+                targets.push({ element: canvas, kind: 'canvas', url: '' });
             }
+        });
+    }
+
+    // Walk what was queued. Shadow roots found on the way are registered,
+    // which queues them in turn; Map iteration visits those as well.
+    function drainBackgroundScans(marks) {
+        for (const [node, subtree] of backgroundScanQueue) {
+            backgroundScanQueue.delete(node);
+            if (node !== document && !node.isConnected) continue;
+
+            if (node.nodeType === Node.ELEMENT_NODE) checkBackgroundCandidate(node, marks);
+            if (subtree) node.querySelectorAll('*').forEach(element => checkBackgroundCandidate(element, marks));
+        }
+    }
+
+    function checkBackgroundCandidate(element, marks) {
+        if (element.shadowRoot) registerShadowRoot(element.shadowRoot);
+
+        if (/url\(/.test(window.getComputedStyle(element).backgroundImage)) {
+            if (!element.closest(OWN_ELEMENTS_SELECTOR)) backgroundElements.add(element);
+        } else if (marks && element.getAttribute('style')?.includes('url(')) {
+            // Held by the blur-first stylesheet, but shows no background image
+            marks.push([element, 'clean']);
+        }
+    }
+
+    function collectBackgroundTargets(targets, marks) {
+        for (const element of backgroundElements) {
+            const match = element.isConnected &&
+                /url\((['"]?)(.*?)\1\)/.exec(window.getComputedStyle(element).backgroundImage);
+            if (!match) {
+                backgroundElements.delete(element);
+                if (marks && element.getAttribute('style')?.includes('url(')) marks.push([element, 'clean']);
+                continue;
+            }
+
+            if (element.offsetWidth < MIN_MEDIA_SIZE || element.offsetHeight < MIN_MEDIA_SIZE) {
+                // Small boxes are not analyzed, so blur-first must not hold them.
+                // Hidden ones (no layout yet) stay held until they are shown.
+                if (marks && element.hasAttribute('style') && element.offsetParent) marks.push([element, 'clean']);
+                continue;
+            }
+
+            addSourceTarget(targets, element, 'background', match[2]);
+            if (marks && !element.dataset.hvState) marks.push([element, 'pending']);
         }
     }
 
+    // Open shadow roots seen so far; each one gets its own MutationObserver subscription
+    const shadowRoots = [];
+    const registeredShadowRoots = new WeakSet();
+
+    function registerShadowRoot(root) {
+        if (registeredShadowRoots.has(root)) return;
+        registeredShadowRoots.add(root);
+        shadowRoots.push(root);
+        queueBackgroundScan(root);
+        if (observer) observer.observe(root, observerConfig);
+        adoptContentStyles(root);
+        if (isBlurFirstActive()) addShadowBlurFirstStyle(root);
+    }
+
+    // styles/content.css reaches only the document. Shadow roots adopt one
+    // shared copy, so overlays, badges and dialogs placed inside them are
+    // positioned and styled like everywhere else.
+    let contentStyleSheet = null;
+
+    function getContentStyleSheet() {
+        if (!contentStyleSheet) {
+            contentStyleSheet = fetch(chrome.runtime.getURL('styles/content.css'))
+                .then(response => response.text())
+                .then(css => {
+                    const sheet = new CSSStyleSheet();
+                    sheet.replaceSync(css);
+                    return sheet;
+                })
+                .catch(error => {
+                    // Let the next shadow root try again
+                    contentStyleSheet = null;
+                    throw error;
+                });
+        }
+        return contentStyleSheet;
+    }
+
+    function adoptContentStyles(root) {
+        getContentStyleSheet().then(sheet => {
+            if (!root.adoptedStyleSheets.includes(sheet)) {
+                root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+            }
+        }).catch(error => console.warn('🕌 HalalVision: Could not style shadow root:', error));
+    }
+
+    // Blur-First Mode
+    // styles/blur-first.css (registered by the service worker) hides media from
+    // the first paint. Each element is released by marking its data-hv-state;
+    // hv-reveal-all on <html> releases the whole page where we do not protect.
+    const BLUR_FIRST_SHADOW_CSS = `
+        img:not([data-hv-state="clean"]):not([data-hv-state="blurred"]),
+        video:not([data-hv-state="clean"]):not([data-hv-state="blurred"]),
+        canvas:not([data-hv-state="clean"]):not([data-hv-state="blurred"]),
+        image:not([data-hv-state="clean"]):not([data-hv-state="blurred"]),
+        [style*="url("]:not([data-hv-state="clean"]):not([data-hv-state="blurred"]),
+        [data-hv-state="pending"] {
+            filter: blur(30px) !important;
+        }
+    `;
+    const shadowBlurFirstStyles = [];
+
+    function isBlurFirstActive() {
+        return Boolean(settings && settings.hideUntilScanned &&
+            !document.documentElement.classList.contains('hv-reveal-all'));
+    }
+
+    // Page stylesheets do not reach into shadow roots, so each gets its own copy
+    function addShadowBlurFirstStyle(root) {
+        const style = document.createElement('style');
+        style.textContent = BLUR_FIRST_SHADOW_CSS;
+        root.appendChild(style);
+        shadowBlurFirstStyles.push(style);
+    }
+
+    // state: 'pending' (found, not analyzed), 'clean', 'blurred' (covered by
+    // our own blur) or 'error' (analysis failed; stays hidden)
+    function markMedia(element, state) {
+        if (element.dataset.hvState !== state) {
+            element.dataset.hvState = state;
+        }
+    }
+
+    function revealAll() {
+        document.documentElement.classList.add('hv-reveal-all');
+        shadowBlurFirstStyles.splice(0).forEach(style => style.remove());
+    }
+
+    function concealUnverified() {
+        if (!settings.hideUntilScanned) return;
+        document.documentElement.classList.remove('hv-reveal-all');
+        shadowRoots.forEach(addShadowBlurFirstStyle);
+    }
+
+    // A URL we put there ourselves stands for the original it replaced
+    function addSourceTarget(targets, element, kind, url) {
+        if (ownObjectUrls.has(url)) {
+            url = blurredElements.get(element)?.sourceUrl;
+        }
+        if (url) targets.push({ element, kind, url });
+    }
+
+    // Whether the page may read the source's pixels; cross-origin images
+    // without CORS taint any canvas they are drawn into
+    function canReadPixels(source) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1;
+        canvas.height = 1;
+        const ctx = canvas.getContext('2d');
+        try {
+            ctx.drawImage(source, 0, 0, 1, 1);
+            ctx.getImageData(0, 0, 1, 1);
+            return true;
+        } catch (error) {
+            if (error.name === 'SecurityError') return false;
+            throw error;
+        }
+    }
+
+    // Same image, fetched by the service worker and loaded from a data: URL,
+    // so its pixels can be read
+    async function loadReadableCopy(url) {
+        const dataUrl = await sendToHost({ action: 'fetchImage', url }, 20000);
+        return loadImageSource(dataUrl);
+    }
+
+    function loadImageSource(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Could not load ${url}`));
+            image.src = url;
+        });
+    }
+
+    function isInViewport(element) {
+        const rect = element.getBoundingClientRect();
+        return rect.top < window.innerHeight && rect.bottom > 0;
+    }
+
     // Process existing media on page
     async function processExistingMedia() {
         const blurEngine = new BlurEngine();
-        const videoProcessor = new VideoProcessor(detector, blurEngine);
+        const media = discoverMedia();
+        collapseKeywordText([document, ...shadowRoots]);
 
-        // Process images
-        if (settings.processImages) {
-            const images = document.querySelectorAll('img');
-            for (const img of images) {
-                if (!isImageValid(img)) continue;
+        // Start observing for viewport entries
+        if (window.hvWatchMedia) window.hvWatchMedia();
 
-                // If already processed and NOT blurred, we might want to skip.
-                // But we should allow re-scans if the image src changed.
-                if (processedElements.has(img) && !blurredElements.has(img)) continue;
+        for (const target of media) {
+            const element = target.element;
 
-                if (window.hvWatchMedia) {
-                    // Start observing for viewport entries
-                    window.hvWatchMedia();
+            // Process videos
+            if (target.kind === 'video') {
+                if (!settings.processVideos) {
+                    markMedia(element, 'clean');
+                    continue;
+                }
+                if (processedElements.has(element)) continue;
+                processedElements.add(element);
+
+                // A keyword match covers the whole video; frames are not sampled
+                if (matchMediaKeywords(element, element.currentSrc || element.src)) {
+                    blurEngine.applyCSSBlur(element, 'video');
+                    markMedia(element, 'blurred');
+                    updateStats('video');
+                    continue;
+                }
 
+                await videoProcessor.processVideo(element);
+                continue;
+            }
+
+            if (!settings.processImages) {
+                markMedia(element, 'clean');
+                continue;
+            }
+
+            // Process images
+            if (target.kind === 'img') {
+                const img = element;
+                if (!isImageValid(img)) {
+                    // Icons and other small images are never analyzed. Hidden ones
+                    // (no layout boxes yet) stay held until they are shown.
+                    if (img.complete && img.getClientRects().length > 0) markMedia(img, 'clean');
+                    continue;
+                }
+
+                // Already analyzed. src changes and settings changes reset
+                // processedElements, so those still get re-scanned.
+                if (processedElements.has(img)) continue;
+
+                if (window.hvWatchMedia) {
                     // Do not apply permanent blur immediately, wait for scan in viewport
                     // But if it's already in viewport, trigger it
-                    const rect = img.getBoundingClientRect();
-                    if (rect.top < window.innerHeight && rect.bottom > 0) {
+                    if (isInViewport(img)) {
                         processImage(img, blurEngine);
                     }
                 } else {
@@ -853,17 +1576,60 @@
                         await processImage(img, blurEngine);
                     }
                 }
+                continue;
             }
+
+            // Posters, backgrounds, SVG images and canvases: re-checked whenever
+            // their source URL changes, and only once they are on screen
+            if (processedSources.get(element) === target.url) continue;
+            if (!isMediaTargetValid(target) || !isInViewport(element)) continue;
+            processMediaTarget(target, blurEngine);
+        }
+    }
+
+    function isMediaTargetValid(target) {
+        const rect = target.element.getBoundingClientRect();
+        if (rect.width < MIN_MEDIA_SIZE || rect.height < MIN_MEDIA_SIZE) return false;
+        if (target.url && target.url.startsWith('data:') && target.url.length < 1000) return false;
+        return true;
+    }
+
+    // Analyze and blur a non-<img> media target
+    async function processMediaTarget(target, blurEngine) {
+        processedSources.set(target.element, target.url);
+        if (applyImageRule(target.element, target.kind, target.url, blurEngine)) return;
+
+        // Keyword matches are covered whole without running the detector
+        if (matchMediaKeywords(target.element, target.url)) {
+            blurEngine.removeBlur(target.element);
+            blurEngine.applyCSSBlur(target.element, target.kind);
+            markMedia(target.element, 'blurred');
+            updateStats('image');
+            return;
         }
 
-        // Process videos
-        if (settings.processVideos) {
-            const videos = document.querySelectorAll('video');
-            for (const video of videos) {
-                if (processedElements.has(video)) continue;
-                processedElements.add(video);
-                await videoProcessor.processVideo(video);
+        try {
+            target.source = target.kind === 'canvas' ? target.element : await loadImageSource(target.url);
+
+            const { width, height } = getMediaSize(target.source);
+            if (width === 0 || height === 0) return;
+
+            const cacheUrl = /^https?:/i.test(target.url) ? target.url : null;
+            const results = await detector.analyzeImage(target.source, cacheUrl);
+
+            if (results.shouldBlur) {
+                await blurEngine.applyBlur(target.element, results, target);
+                updateStats('image', results);
+            } else {
+                blurEngine.removeBlur(target.element);
             }
+            markMedia(target.element, results.shouldBlur ? 'blurred' : 'clean');
+        } catch (error) {
+            console.log('Process error:', error);
+            // Once the source loaded, the failure was in analysis, which is
+            // no clean verdict: keep it covered until a later scan succeeds
+            if (target.source) blurEngine.applyCSSBlur(target.element, target.kind);
+            markMedia(target.element, 'error');
         }
     }
 
@@ -875,12 +1641,16 @@
         // Skip data URIs that are too small
         if (img.src.startsWith('data:') && img.src.length < 1000) return false;
 
-        // Skip SVGs
-        if (img.src.endsWith('.svg')) return false;
-
         return true;
     }
 
+    // Resolved URL an image's detection can be cached under. data: and blob:
+    // URLs are page-local, so only network images qualify.
+    function getCacheableUrl(img) {
+        const url = img.currentSrc || img.src;
+        return /^https?:/i.test(url) ? url : null;
+    }
+
     // Process single image
     async function processImage(img, blurEngine) {
         if (processedElements.has(img) && blurredElements.has(img)) {
@@ -888,73 +1658,390 @@
         }
 
         try {
-            // Create temp canvas for analysis
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-
             // Wait for image load if dimensions are 0
             if (img.naturalWidth === 0) {
                 await new Promise((r) => img.addEventListener('load', r, { once: true }));
             }
 
-            canvas.width = img.naturalWidth;
-            canvas.height = img.naturalHeight;
+            // Broken or empty image
+            if (img.naturalWidth === 0 || img.naturalHeight === 0) return;
 
-            // Simple check for canvas support and image validity
-            if (canvas.width === 0 || canvas.height === 0) return;
+            // The user's own rules for this image settle it without inference
+            if (applyImageRule(img, 'img', img.currentSrc || img.src, blurEngine)) {
+                processedElements.add(img);
+                return;
+            }
 
-            // Draw and analyze
-            ctx.drawImage(img, 0, 0);
-            const results = await detector.analyzeImage(img);
+            // Text around the image can flag it before any model runs; it is
+            // covered whole and the verdict is final, so the detector is skipped
+            if (matchMediaKeywords(img, img.currentSrc || img.src)) {
+                blurEngine.removeBlur(img);
+                blurEngine.applyCSSBlur(img);
+                markMedia(img, 'blurred');
+                updateStats('image');
+                processedElements.add(img);
+                return;
+            }
+
+            // Cross-origin images are fetched and analyzed by the extension
+            const results = await detector.analyzeImage(img, getCacheableUrl(img));
 
             if (results.shouldBlur) {
                 await blurEngine.applyBlur(img, results);
-                updateStats('image');
+                updateStats('image', results);
             } else {
                 // If AI says it's safe, remove any pre-existing blur
                 blurEngine.removeBlur(img);
             }
 
+            markMedia(img, results.shouldBlur ? 'blurred' : 'clean');
             processedElements.add(img);
         } catch (error) {
-            console.log('Process error:', error);
-            // Fallback for CORS or complexity
-            if (detector.isLoaded) {
-                // If model is loaded but we had a technical error, 
-                // we might want to blur just in case if safe mode is high.
-                // For now, let's keep it clean to avoid over-blurring.
+            // A failed analysis is no clean verdict: the image stays covered
+            // until a later scan succeeds, and in blur-first mode the error
+            // state keeps it hidden as well
+            blurEngine.applyCSSBlur(img);
+            // Unprefixed: the URL is page-controlled and must not reach the overlay log
+            console.warn('Gagal menganalisis gambar:', img.currentSrc || img.src, error);
+            markMedia(img, 'error');
+        }
+    }
+
+    // Image Rules
+    // 'blur' or 'allow' verdicts the user gave an image: persistent ones from
+    // the service worker, and one-off context menu choices for this page
+    let imageRules = { urls: {}, hosts: {} };
+    const manualImageRules = new Map(); // image URL -> 'blur' | 'allow'
+
+    async function loadImageRules() {
+        imageRules = (await getImageRules()) || { urls: {}, hosts: {} };
+    }
+
+    // An exact URL rule wins over one for the image's host
+    function getImageRule(url) {
+        if (!url) return null;
+        if (manualImageRules.has(url)) return manualImageRules.get(url);
+        if (imageRules.urls[url]) return imageRules.urls[url];
+        try {
+            return imageRules.hosts[new URL(url).hostname] || null;
+        } catch {
+            return null;
+        }
+    }
+
+    // Blur or release an element by rule. Returns false if no rule applies.
+    function applyImageRule(element, kind, url, blurEngine) {
+        const rule = getImageRule(url);
+        if (!rule) return false;
+
+        // A region blur from an earlier scan makes way for the full one
+        blurEngine.removeBlur(element);
+        if (rule === 'blur') blurEngine.applyCSSBlur(element, kind);
+        markMedia(element, rule === 'blur' ? 'blurred' : 'clean');
+        return true;
+    }
+
+    // Context menu "Blur/Unblur Gambar Ini": every copy of the image on this page
+    function applyManualImageRule(url, rule) {
+        manualImageRules.set(url, rule);
+
+        const blurEngine = new BlurEngine();
+        for (const target of discoverMedia()) {
+            const element = target.element;
+            const targetUrl = target.kind === 'img' ? element.currentSrc || element.src : target.url;
+            if (target.kind !== 'video' && targetUrl === url) {
+                applyImageRule(element, target.kind, url, blurEngine);
             }
         }
     }
 
-    // Update statistics
-    function updateStats(type) {
-        chrome.runtime.sendMessage({ action: 'getStats' }, (response) => {
-            const stats = response.stats || { imagesProcessed: 0, videosProcessed: 0 };
+    // Keywords
+    // settings.keywordList flags media by the text around it: alt, title and
+    // aria-label, a figure caption, the enclosing link and the URL paths.
+    // Plain keywords match whole words in any case; /pattern/flags entries are
+    // regular expressions. With collapseKeywordText, matching paragraphs and
+    // links are hidden behind a placeholder as well.
+    const MAX_CONTEXT_TEXT = 500; // characters taken from each text source
+    const TEXT_BLOCK_SELECTOR = 'p, li, blockquote, figcaption, h1, h2, h3, h4, h5, h6, a';
+
+    let keywordPatterns = [];
+    let keywordPatternsSource = null;
+    let checkedTextBlocks = new WeakSet();
+    const collapsedTexts = new Map(); // element -> restore function
+
+    // Same rules as parseKeywordRegex in background/settings-schema.js
+    function parseKeywordRegex(keyword) {
+        const match = /^\/(.+)\/([a-z]*)$/.exec(keyword);
+        if (!match) return null;
+        return new RegExp(match[1], match[2].replace(/[gy]/g, ''));
+    }
+
+    // Plain keywords share one expression; a space in a keyword also matches
+    // the - and _ used in URLs
+    function compileKeywords(list) {
+        const patterns = [];
+        const words = [];
 
-            if (type === 'image') {
-                stats.imagesProcessed++;
-            } else if (type === 'video') {
-                stats.videosProcessed++;
+        for (const keyword of list) {
+            try {
+                const regex = parseKeywordRegex(keyword);
+                if (regex) {
+                    patterns.push(regex);
+                } else if (keyword.trim()) {
+                    words.push(keyword.trim().split(/\s+/)
+                        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+                        .join('[\\s_-]+'));
+                }
+            } catch (error) {
+                console.warn('🕌 HalalVision: Invalid keyword regex:', keyword, error);
             }
+        }
+
+        if (words.length > 0) {
+            patterns.push(new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.join('|')})(?![\\p{L}\\p{N}])`, 'iu'));
+        }
+        return patterns;
+    }
 
-            chrome.runtime.sendMessage({ action: 'updateStats', stats });
+    // The matched text, or null
+    function matchKeywords(text) {
+        if (!settings.keywordBlur || !text) return null;
+
+        if (keywordPatternsSource !== settings.keywordList) {
+            keywordPatterns = compileKeywords(settings.keywordList || []);
+            keywordPatternsSource = settings.keywordList;
+        }
+
+        for (const pattern of keywordPatterns) {
+            const match = pattern.exec(text);
+            if (match) return match[0];
+        }
+        return null;
+    }
+
+    // Words of a URL's path, e.g. "/gallery/red-bikini_01.jpg" -> "gallery red bikini 01 jpg"
+    function urlToText(url) {
+        try {
+            const { pathname } = new URL(url, document.baseURI);
+            return decodeURIComponent(pathname).replace(/[/_.+-]+/g, ' ');
+        } catch {
+            return '';
+        }
+    }
+
+    function getMediaText(element, url) {
+        const parts = [
+            element.getAttribute('alt'),
+            element.getAttribute('title'),
+            element.getAttribute('aria-label'),
+            url && !url.startsWith('data:') ? urlToText(url) : ''
+        ];
+
+        const caption = element.closest('figure')?.querySelector('figcaption');
+        if (caption) parts.push(caption.textContent);
+
+        const link = element.closest('a');
+        if (link) parts.push(link.textContent, link.title, link.getAttribute('aria-label'), urlToText(link.href));
+
+        return parts.filter(Boolean).map(part => part.slice(0, MAX_CONTEXT_TEXT)).join('\n');
+    }
+
+    function matchMediaKeywords(element, url) {
+        return matchKeywords(getMediaText(element, url));
+    }
+
+    function collapseKeywordText(roots) {
+        if (!settings.keywordBlur || !settings.collapseKeywordText) return;
+
+        for (const root of roots) {
+            root.querySelectorAll(TEXT_BLOCK_SELECTOR).forEach(element => {
+                if (checkedTextBlocks.has(element)) return;
+                checkedTextBlocks.add(element);
+
+                // Inside an already collapsed block, or our own UI
+                if (element.closest('[data-hv-collapsed]') || element.closest(OWN_ELEMENTS_SELECTOR)) return;
+
+                let text = element.textContent.slice(0, MAX_CONTEXT_TEXT * 4);
+                if (element.tagName === 'A') {
+                    text += `\n${element.title}\n${element.getAttribute('aria-label') || ''}\n${urlToText(element.href)}`;
+                }
+                if (matchKeywords(text)) collapseText(element);
+            });
+        }
+    }
+
+    // Hide a block behind a placeholder that shows it again on click
+    function collapseText(element) {
+        const display = element.style.getPropertyValue('display');
+        const priority = element.style.getPropertyPriority('display');
+
+        const placeholder = document.createElement('button');
+        placeholder.type = 'button';
+        placeholder.classList.add('halal-vision-collapsed');
+        placeholder.textContent = '🕌 Teks disembunyikan · Tampilkan';
+
+        const restore = () => {
+            element.style.setProperty('display', display, priority);
+            delete element.dataset.hvCollapsed;
+            placeholder.remove();
+            collapsedTexts.delete(element);
+        };
+
+        placeholder.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            restore();
         });
+
+        element.dataset.hvCollapsed = 'true';
+        element.style.setProperty('display', 'none', 'important');
+        element.before(placeholder);
+        collapsedTexts.set(element, restore);
+    }
+
+    function restoreCollapsedText() {
+        Array.from(collapsedTexts.values()).forEach(restore => restore());
+        checkedTextBlocks = new WeakSet();
+    }
+
+    // Feedback
+    // A report stores the image URL, a thumbnail and the raw model scores in
+    // the service worker's review queue (background/feedback.js).
+    // kind: 'false-positive' (blurred by mistake) or 'false-negative' (missed).
+    const THUMBNAIL_SIZE = 128;
+
+    async function reportDetection(kind, element, url) {
+        try {
+            // The missed-image menu may name an image this frame cannot find
+            const source = element || await loadReadableCopy(url);
+            // A report without scores still carries the image and its label
+            const detection = detector
+                ? await detector.diagnose(source, url).catch(error => ({ error: error.message }))
+                : { error: 'Detector not loaded' };
+
+            chrome.runtime.sendMessage({
+                action: 'submitFeedback',
+                report: {
+                    kind,
+                    imageUrl: url || '',
+                    thumbnail: await createThumbnail(source, url).catch(() => null),
+                    detection,
+                    settings: getDetectionSettings()
+                }
+            }, (response) => {
+                showToast(response && response.success
+                    ? 'Laporan disimpan. Terima kasih!'
+                    : 'Laporan gagal disimpan');
+            });
+        } catch (error) {
+            // Unprefixed: load errors name the page's image URL
+            console.warn('Could not create report:', error);
+            showToast('Laporan gagal disimpan');
+        }
+    }
+
+    // Context menu "Laporkan Gambar yang Terlewat"
+    function reportMissedImage(url) {
+        const target = discoverMedia().find(({ element, kind }) =>
+            kind === 'img' && (element.currentSrc || element.src) === url);
+        reportDetection('false-negative', target ? target.element : null, url);
+    }
+
+    // Small JPEG of the unblurred source; cross-origin images are redrawn
+    // from a copy the service worker fetched
+    async function createThumbnail(source, url) {
+        const { width, height } = getMediaSize(source);
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(1, width, height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+
+        try {
+            canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL('image/jpeg', 0.8);
+        } catch (error) {
+            if (error.name !== 'SecurityError' || !url) throw error;
+            const readable = await loadReadableCopy(url);
+            const clean = document.createElement('canvas');
+            clean.width = canvas.width;
+            clean.height = canvas.height;
+            clean.getContext('2d').drawImage(readable, 0, 0, clean.width, clean.height);
+            return clean.toDataURL('image/jpeg', 0.8);
+        }
+    }
+
+    function showToast(text) {
+        const toast = document.createElement('div');
+        toast.classList.add('halal-vision-toast');
+        toast.textContent = text;
+        (document.body || document.documentElement).appendChild(toast);
+        setTimeout(() => toast.remove(), 3000);
+    }
+
+    // Remove every blur this script has applied
+    function removeAllBlurs() {
+        const blurEngine = new BlurEngine();
+        for (const element of Array.from(blurredElements.keys())) {
+            blurEngine.removeBlur(element);
+        }
+        if (videoProcessor) videoProcessor.clearAll();
+        restoreCollapsedText();
+        revealAll();
+    }
+
+    // Forget earlier verdicts and analyze the page again, so threshold and
+    // blur changes take effect on already-scanned media without a reload
+    function rescanPage() {
+        processedElements = new WeakSet();
+        processedSources = new WeakMap();
+        [document, ...shadowRoots].forEach(root => queueBackgroundScan(root));
+        restoreCollapsedText();
+        return processExistingMedia();
+    }
+
+    // Report a blurred image or video, or a reveal, to the service worker,
+    // which keeps the counters. results adds what was detected, by category.
+    function updateStats(type, results = null) {
+        const event = { type };
+        if (results) {
+            event.detections = {
+                faces: results.faces.length,
+                bodies: results.people.filter(person => person.flagged).length,
+                men: results.faces.filter(face => face.gender === 'male').length,
+                women: results.faces.filter(face => face.gender === 'female').length
+            };
+        }
+
+        chrome.runtime.sendMessage({ action: 'recordStat', event });
+    }
+
+    // Elements that may carry media when added to the page. Class-driven CSS
+    // backgrounds are picked up from the background scan queue by the
+    // periodic scan instead.
+    const MEDIA_TAGS = ['IMG', 'VIDEO', 'CANVAS', 'PICTURE', 'image'];
+    const MEDIA_SELECTOR = 'img, video, canvas, picture, image, [style*="background"]';
+
+    // Configuration for the observer:
+    // monitor for added nodes AND attribute changes (like src changes in SPAs).
+    // style and class changes only queue their element for a background check.
+    const observerConfig = {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['src', 'srcset', 'poster', 'href', 'style', 'class']
+    };
+
+    function scheduleProcessing() {
+        // Debounce slightly to handle burst updates on scroll
+        clearTimeout(window.hvProcessTimeout);
+        window.hvProcessTimeout = setTimeout(() => {
+            processExistingMedia();
+        }, 100);
     }
 
     // Start DOM Observer for dynamic content
     function startDOMObserver() {
         const blurEngine = new BlurEngine();
-        const videoProcessor = new VideoProcessor(detector, blurEngine);
-
-        // Configuration for the observer:
-        // monitor for added nodes AND attribute changes (like src changes in SPAs)
-        const observerConfig = {
-            childList: true,
-            subtree: true,
-            attributes: true,
-            attributeFilter: ['src', 'srcset']
-        };
 
         observer = new MutationObserver(async (mutations) => {
             let needsProcessing = false;
@@ -963,33 +2050,45 @@
                 if (mutation.type === 'childList') {
                     for (const node of mutation.addedNodes) {
                         if (node.nodeType === Node.ELEMENT_NODE) {
-                            if (node.tagName === 'IMG' || node.tagName === 'VIDEO' || node.querySelector('img, video')) {
+                            queueBackgroundScan(node);
+                            if (!needsProcessing &&
+                                (MEDIA_TAGS.includes(node.tagName) || node.querySelector(MEDIA_SELECTOR))) {
                                 needsProcessing = true;
-                                break;
                             }
                         }
                     }
                 } else if (mutation.type === 'attributes') {
                     const node = mutation.target;
-                    if (node.tagName === 'IMG' || node.tagName === 'VIDEO') {
+                    if (mutation.attributeName === 'style' || mutation.attributeName === 'class') {
+                        queueBackgroundScan(node, false);
+                        if (node.getAttribute('style')?.includes('url(')) needsProcessing = true;
+                    } else if (node.tagName === 'IMG' || node.tagName === 'VIDEO') {
                         // If src/srcset changed, re-process it
                         processedElements.delete(node);
                         needsProcessing = true;
+                    } else if (node.tagName === 'image') {
+                        // SVG <image> href changes are picked up by URL comparison
+                        needsProcessing = true;
                     }
                 }
-                if (needsProcessing) break;
             }
 
             if (needsProcessing) {
-                // Debounce slightly to handle burst updates on scroll
-                clearTimeout(window.hvProcessTimeout);
-                window.hvProcessTimeout = setTimeout(() => {
-                    processExistingMedia();
-                }, 100);
+                scheduleProcessing();
             }
         });
 
         observer.observe(document.body, observerConfig);
+        shadowRoots.forEach(root => observer.observe(root, observerConfig));
+
+        // Shadow roots attached from now on, announced by shadow-hook.js in the page world
+        document.addEventListener('halalvision:shadowroot', (event) => {
+            const host = event.composedPath()[0];
+            if (host && host.shadowRoot) {
+                registerShadowRoot(host.shadowRoot);
+                scheduleProcessing();
+            }
+        });
 
         // Setup IntersectionObserver to process things as they enter viewport
         // This is more efficient for heavy pages
@@ -1011,8 +2110,10 @@
 
         // Helper to watch all media
         window.hvWatchMedia = () => {
-            document.querySelectorAll('img, video').forEach(el => {
-                viewportObserver.observe(el);
+            [document, ...shadowRoots].forEach(root => {
+                root.querySelectorAll('img, video').forEach(el => {
+                    viewportObserver.observe(el);
+                });
             });
         };
 
@@ -1021,23 +2122,44 @@
 
     // Initialize extension
     async function initialize() {
-        if (isInitialized) return;
+        if (isInitialized || isInitializing) return;
+        isInitializing = true;
+        try {
+            await startProtection();
+        } finally {
+            isInitializing = false;
+        }
+    }
 
+    async function startProtection() {
         // Get settings first to see if we should show UI
         settings = await getSettings();
+        // The panic button is an escape hatch, so it shows on every page
+        panicShield.updateButton();
 
         if (!settings || !settings.enabled) {
+            revealAll();
             return;
         }
 
         // Check whitelist
         const isWhitelisted = await checkWhitelist();
         if (isWhitelisted) {
+            revealAll();
             return;
         }
 
-        // Show Loading Overlay
-        ui.createOverlay();
+        await loadImageRules();
+
+        // Without blur-first, nothing is held back in the first place
+        if (!settings.hideUntilScanned) {
+            revealAll();
+        }
+
+        // Show Loading Overlay (subframes are covered by the top frame's one)
+        if (window === window.top) {
+            ui.createOverlay();
+        }
         console.log('🕌 HalalVision: Memulai perlindungan...');
 
         // Load ML detector
@@ -1045,11 +2167,15 @@
         await detector.initialize();
 
         if (!detector.isLoaded) {
+            // Blur-first media stays hidden: nothing could be verified
             console.error('🕌 HalalVision: Gagal memuat AI. Menghentikan...');
             setTimeout(() => ui.finish(), 3000);
             return;
         }
 
+        // One video processor keeps per-video state for the whole page
+        videoProcessor = new VideoProcessor(detector, new BlurEngine());
+
         // Process existing images with AI
         console.log('🕌 HalalVision: Memindai halaman untuk konten...');
         await processExistingMedia();
@@ -1067,6 +2193,11 @@
         ui.finish();
     }
 
+    // A tab left in panic mode stays covered from the first paint
+    chrome.runtime.sendMessage({ action: 'getPanicState' }, (response) => {
+        if (response && response.active) panicShield.show();
+    });
+
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', initialize);
@@ -1074,16 +2205,67 @@
         initialize();
     }
 
+    // Settings that change what gets blurred or how it looks
+    const RESCAN_SETTINGS = ['enabled', 'hideUntilScanned', 'performanceMode', 'blurFaces', 'blurBodies',
+        'blurMen', 'blurWomen', 'detectionSensitivity', 'unmatchedBodyPolicy', 'blurIntensity',
+        'blurStyle', 'pixelSize', 'coverColor', 'bodyMaskMargin', 'revealMode',
+        'keywordBlur', 'keywordList', 'collapseKeywordText'];
+
+    // A save usually arrives twice, as a storage change and as a
+    // settingsUpdated message. Reloads run one at a time, and those that
+    // arrive meanwhile collapse into a single one after it.
+    let settingsReload = null;
+    let settingsReloadQueued = false;
+
+    function reloadSettings() {
+        if (settingsReload) {
+            settingsReloadQueued = true;
+            return settingsReload;
+        }
+
+        settingsReload = applyReloadedSettings()
+            .catch(error => console.error('🕌 HalalVision: Could not reload settings:', error))
+            .finally(() => {
+                settingsReload = null;
+                if (settingsReloadQueued) {
+                    settingsReloadQueued = false;
+                    reloadSettings();
+                }
+            });
+        return settingsReload;
+    }
+
+    // Re-fetch the resolved settings for this page and re-apply protection
+    async function applyReloadedSettings() {
+        const previous = settings;
+        settings = await getSettings();
+        panicShield.updateButton();
+        if (!settings.enabled) {
+            removeAllBlurs();
+        } else if (isInitialized) {
+            if (settings.hideUntilScanned) {
+                concealUnverified();
+            } else {
+                revealAll();
+            }
+
+            const changed = !previous ||
+                RESCAN_SETTINGS.some(key => JSON.stringify(previous[key]) !== JSON.stringify(settings[key]));
+            if (changed) {
+                await rescanPage();
+            } else {
+                await processExistingMedia();
+            }
+        } else {
+            await initialize();
+        }
+    }
+
     // Listen for setting changes from storage (persisted)
     chrome.storage.onChanged.addListener((changes, area) => {
         if (area === 'sync' && changes.settings) {
             console.log('🕌 HalalVision: Settings updated via storage');
-            settings = changes.settings.newValue;
-            if (!settings.enabled) {
-                removeAllBlurs();
-            } else {
-                processExistingMedia();
-            }
+            reloadSettings();
         }
     });
 
@@ -1091,14 +2273,25 @@
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (message.action === 'settingsUpdated') {
             console.log('🕌 HalalVision: Settings updated via message');
-            settings = message.settings;
-            if (!settings.enabled) {
-                removeAllBlurs();
-            } else {
-                processExistingMedia();
-            }
+            reloadSettings();
         } else if (message.action === 'siteWhitelisted') {
             window.location.reload();
+        } else if (message.action === 'rescanPage') {
+            if (isInitialized && settings.enabled) rescanPage();
+        } else if (message.action === 'reblurAll') {
+            reblurAll();
+        } else if (message.action === 'panicBlur') {
+            panicShield.show();
+        } else if (message.action === 'dismissPanic') {
+            panicShield.dismiss();
+        } else if (message.action === 'blurSpecificImage' || message.action === 'unblurSpecificImage') {
+            applyManualImageRule(message.imageUrl, message.action === 'blurSpecificImage' ? 'blur' : 'allow');
+        } else if (message.action === 'reportMissedImage') {
+            reportMissedImage(message.imageUrl);
+        } else if (message.action === 'imageRulesUpdated') {
+            loadImageRules().then(() => {
+                if (isInitialized && settings.enabled) rescanPage();
+            });
         }
         sendResponse({ success: true });
     });
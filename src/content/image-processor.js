@@ -1,2 +1,404 @@
-// Image detection and blur logic (integrated in content-script.js for now)
-console.log('HalalVision: Image processor loaded');
+// Image Processor
+// Pixel work behind BlurEngine: obscuring face regions and body masks in the
+// selected blur style. The content script runs this same code in a Worker,
+// built from createImageProcessor's source, and falls back to calling it on
+// the page thread when the page's CSP does not allow blob: workers.
+
+function createImageProcessor(scope) {
+    const SILHOUETTE_MARK = '🕌';
+
+    // Body mask feather radius, as a fraction of the image's longer side
+    const BODY_MASK_FEATHER = 0.01;
+    const BODY_MASK_MIN_FEATHER = 2;
+
+    // '#rrggbb' to [r, g, b]
+    function parseHexColor(color) {
+        const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+        if (!match) return [31, 41, 55];
+        return match.slice(1).map(hex => parseInt(hex, 16));
+    }
+
+    // job: { bitmap, faces, bodySegmentation, options, output }
+    // Resolves with an ImageBitmap, or a Blob when output is 'blob'. Faces and
+    // the segmentation are in the bitmap's pixel space. A SecurityError means
+    // the source was cross-origin and its pixels cannot be read.
+    async function render(job) {
+        const { bitmap, options } = job;
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(bitmap, 0, 0);
+
+        if (options.blurFaces && job.faces.length > 0) {
+            for (const face of job.faces) {
+                blurRegion(ctx, face.topLeft, face.bottomRight, options);
+            }
+        }
+
+        if (options.blurBodies && job.bodySegmentation) {
+            blurBodyRegions(ctx, job.bodySegmentation, canvas.width, canvas.height, options);
+        }
+
+        return job.output === 'blob'
+            ? canvas.convertToBlob()
+            : canvas.transferToImageBitmap();
+    }
+
+    function blurRegion(ctx, topLeft, bottomRight, options) {
+        const x = topLeft[0];
+        const y = topLeft[1];
+        const width = bottomRight[0] - topLeft[0];
+        const height = bottomRight[1] - topLeft[1];
+
+        // Expand region slightly
+        const padding = Math.max(width, height) * 0.2;
+        const expandedX = Math.max(0, x - padding);
+        const expandedY = Math.max(0, y - padding);
+        const expandedWidth = width + padding * 2;
+        const expandedHeight = height + padding * 2;
+
+        if (options.blurStyle === 'silhouette') {
+            drawSilhouette(ctx, expandedX, expandedY, expandedWidth, expandedHeight, options);
+            return;
+        }
+
+        // Get image data for the region
+        const imageData = ctx.getImageData(expandedX, expandedY, expandedWidth, expandedHeight);
+
+        obscurePixels(imageData.data, imageData.width, imageData.height, options);
+
+        // Put blurred data back
+        ctx.putImageData(imageData, expandedX, expandedY);
+    }
+
+    // Rounded cover in the cover color, with the HalalVision mark on top
+    function drawSilhouette(ctx, x, y, width, height, options) {
+        ctx.save();
+        ctx.fillStyle = options.coverColor;
+        ctx.beginPath();
+        ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.font = `${Math.round(Math.min(width, height) * 0.5)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(SILHOUETTE_MARK, x + width / 2, y + height / 2);
+        ctx.restore();
+    }
+
+    // Apply the selected blurStyle to RGBA pixels in place
+    function obscurePixels(pixels, width, height, options) {
+        switch (options.blurStyle) {
+            case 'pixelate':
+                pixelate(pixels, width, height, options.pixelSize);
+                break;
+            case 'solid':
+            case 'silhouette':
+                fillSolid(pixels, options.coverColor);
+                break;
+            case 'grayscale':
+                grayscale(pixels);
+                stackBlur(pixels, width, height, options.blurIntensity);
+                break;
+            default:
+                stackBlur(pixels, width, height, options.blurIntensity);
+        }
+    }
+
+    // Replace each blockSize square with its average color
+    function pixelate(pixels, width, height, blockSize) {
+        const size = Math.max(2, Math.floor(blockSize));
+
+        for (let by = 0; by < height; by += size) {
+            const yEnd = Math.min(by + size, height);
+            for (let bx = 0; bx < width; bx += size) {
+                const xEnd = Math.min(bx + size, width);
+                let r = 0, g = 0, b = 0, count = 0;
+
+                for (let y = by; y < yEnd; y++) {
+                    for (let x = bx; x < xEnd; x++) {
+                        const idx = (y * width + x) * 4;
+                        r += pixels[idx];
+                        g += pixels[idx + 1];
+                        b += pixels[idx + 2];
+                        count++;
+                    }
+                }
+
+                r = Math.round(r / count);
+                g = Math.round(g / count);
+                b = Math.round(b / count);
+                for (let y = by; y < yEnd; y++) {
+                    for (let x = bx; x < xEnd; x++) {
+                        const idx = (y * width + x) * 4;
+                        pixels[idx] = r;
+                        pixels[idx + 1] = g;
+                        pixels[idx + 2] = b;
+                    }
+                }
+            }
+        }
+    }
+
+    function fillSolid(pixels, color) {
+        const [r, g, b] = parseHexColor(color);
+        for (let i = 0; i < pixels.length; i += 4) {
+            pixels[i] = r;
+            pixels[i + 1] = g;
+            pixels[i + 2] = b;
+            pixels[i + 3] = 255;
+        }
+    }
+
+    function grayscale(pixels) {
+        for (let i = 0; i < pixels.length; i += 4) {
+            const luma = Math.round(pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114);
+            pixels[i] = pixels[i + 1] = pixels[i + 2] = luma;
+        }
+    }
+
+    function blurBodyRegions(ctx, segmentation, width, height, options) {
+        // Create mask from segmentation
+        const mask = createMaskFromSegmentation(segmentation, width, height, options);
+
+        // Get full image data
+        const imageData = ctx.getImageData(0, 0, width, height);
+
+        // Create obscured version
+        const blurredData = new Uint8ClampedArray(imageData.data);
+        obscurePixels(blurredData, width, height, options);
+
+        // Blend by mask alpha: opaque inside the person, fading out at the edges
+        const data = imageData.data;
+        for (let i = 0; i < mask.length; i++) {
+            const alpha = mask[i];
+            if (alpha === 0) continue;
+
+            const idx = i * 4;
+            if (alpha === 255) {
+                data[idx] = blurredData[idx];
+                data[idx + 1] = blurredData[idx + 1];
+                data[idx + 2] = blurredData[idx + 2];
+                data[idx + 3] = blurredData[idx + 3];
+            } else {
+                const weight = alpha / 255;
+                data[idx] += (blurredData[idx] - data[idx]) * weight;
+                data[idx + 1] += (blurredData[idx + 1] - data[idx + 1]) * weight;
+                data[idx + 2] += (blurredData[idx + 2] - data[idx + 2]) * weight;
+                data[idx + 3] += (blurredData[idx + 3] - data[idx + 3]) * weight;
+            }
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    // Alpha mask (0-255) at width x height. The segmentation usually comes
+    // from a downscaled input: it is resampled bilinearly, grown by
+    // bodyMaskMargin so limbs and hair at the edges are covered, then
+    // feathered. Dilation includes the feather radius, so every pixel
+    // BodyPix marked stays fully covered.
+    function createMaskFromSegmentation(segmentation, width, height, options) {
+        if (!segmentation.data) return new Uint8Array(width * height);
+
+        const mask = resampleMask(segmentation, width, height);
+
+        const longerSide = Math.max(width, height);
+        const margin = Math.round(longerSide * (options.bodyMaskMargin ?? 2) / 100);
+        const feather = Math.max(BODY_MASK_MIN_FEATHER, Math.round(longerSide * BODY_MASK_FEATHER));
+
+        dilateMask(mask, width, height, margin + feather);
+        featherMask(mask, width, height, feather);
+        return mask;
+    }
+
+    // Bilinear resample to a binary mask; the 0.5 threshold on the
+    // interpolated value gives smooth edges instead of blocky steps
+    function resampleMask(segmentation, width, height) {
+        const mask = new Uint8Array(width * height);
+        const segWidth = segmentation.width || width;
+        const segHeight = segmentation.height || height;
+        const source = segmentation.data;
+        const scaleX = segWidth / width;
+        const scaleY = segHeight / height;
+
+        for (let y = 0; y < height; y++) {
+            const sy = Math.min(segHeight - 1, Math.max(0, (y + 0.5) * scaleY - 0.5));
+            const y0 = Math.floor(sy);
+            const y1 = Math.min(segHeight - 1, y0 + 1);
+            const fy = sy - y0;
+
+            for (let x = 0; x < width; x++) {
+                const sx = Math.min(segWidth - 1, Math.max(0, (x + 0.5) * scaleX - 0.5));
+                const x0 = Math.floor(sx);
+                const x1 = Math.min(segWidth - 1, x0 + 1);
+                const fx = sx - x0;
+
+                const top = (source[y0 * segWidth + x0] > 0 ? 1 - fx : 0) + (source[y0 * segWidth + x1] > 0 ? fx : 0);
+                const bottom = (source[y1 * segWidth + x0] > 0 ? 1 - fx : 0) + (source[y1 * segWidth + x1] > 0 ? fx : 0);
+                mask[y * width + x] = top * (1 - fy) + bottom * fy >= 0.5 ? 255 : 0;
+            }
+        }
+
+        return mask;
+    }
+
+    // Grow set pixels by radius (square structuring element). Each pass
+    // tracks the distance to the nearest set pixel on either side, so the
+    // cost does not depend on the radius.
+    function dilateMask(mask, width, height, radius) {
+        if (radius < 1) return;
+
+        const pass = (length, count, index) => {
+            const distance = new Float64Array(length);
+            for (let line = 0; line < count; line++) {
+                let last = -Infinity;
+                for (let i = 0; i < length; i++) {
+                    if (mask[index(line, i)] === 255) last = i;
+                    distance[i] = i - last;
+                }
+                last = Infinity;
+                for (let i = length - 1; i >= 0; i--) {
+                    if (mask[index(line, i)] === 255) last = i;
+                    // Pixels below i are still unmodified when they are read
+                    if (Math.min(distance[i], last - i) <= radius) mask[index(line, i)] = 255;
+                }
+            }
+        };
+
+        pass(width, height, (y, x) => y * width + x);
+        pass(height, width, (x, y) => y * width + x);
+    }
+
+    // Separable box blur of the mask, turning the hard edge into a ramp
+    function featherMask(mask, width, height, radius) {
+        if (radius < 1) return;
+
+        const line = new Float32Array(Math.max(width, height));
+        const size = radius * 2 + 1;
+
+        const pass = (length, count, index) => {
+            for (let l = 0; l < count; l++) {
+                for (let i = 0; i < length; i++) line[i] = mask[index(l, i)];
+
+                let sum = 0;
+                for (let i = -radius; i <= radius; i++) {
+                    sum += line[Math.min(length - 1, Math.max(0, i))];
+                }
+                for (let i = 0; i < length; i++) {
+                    mask[index(l, i)] = Math.round(sum / size);
+                    sum += line[Math.min(length - 1, i + radius + 1)] - line[Math.max(0, i - radius)];
+                }
+            }
+        };
+
+        pass(width, height, (y, x) => y * width + x);
+        pass(height, width, (x, y) => y * width + x);
+    }
+
+    function stackBlur(pixels, width, height, radius) {
+        // Fast stack blur implementation
+        radius = Math.floor(radius);
+        if (radius < 1) return;
+
+        const wm = width - 1;
+        const hm = height - 1;
+        const wh = width * height;
+        const div = radius + radius + 1;
+
+        const r = new Uint8ClampedArray(wh);
+        const g = new Uint8ClampedArray(wh);
+        const b = new Uint8ClampedArray(wh);
+
+        let rsum, gsum, bsum, x, y, i, p, yp, yi, yw;
+        const vmin = new Uint32Array(Math.max(width, height));
+        const vmax = new Uint32Array(Math.max(width, height));
+
+        // Horizontal blur
+        yw = yi = 0;
+        for (y = 0; y < height; y++) {
+            rsum = gsum = bsum = 0;
+
+            for (i = -radius; i <= radius; i++) {
+                p = (yi + Math.min(wm, Math.max(i, 0))) * 4;
+                rsum += pixels[p];
+                gsum += pixels[p + 1];
+                bsum += pixels[p + 2];
+            }
+
+            for (x = 0; x < width; x++) {
+                r[yi] = Math.round(rsum / div);
+                g[yi] = Math.round(gsum / div);
+                b[yi] = Math.round(bsum / div);
+
+                if (y === 0) {
+                    vmin[x] = Math.min(x + radius + 1, wm);
+                    vmax[x] = Math.max(x - radius, 0);
+                }
+
+                p = (yw + vmin[x]) * 4;
+                const p2 = (yw + vmax[x]) * 4;
+
+                rsum += pixels[p] - pixels[p2];
+                gsum += pixels[p + 1] - pixels[p2 + 1];
+                bsum += pixels[p + 2] - pixels[p2 + 2];
+
+                yi++;
+            }
+            yw += width;
+        }
+
+        // Vertical blur
+        for (x = 0; x < width; x++) {
+            rsum = gsum = bsum = 0;
+            yp = -radius * width;
+
+            for (i = -radius; i <= radius; i++) {
+                yi = Math.max(0, yp) + x;
+                rsum += r[yi];
+                gsum += g[yi];
+                bsum += b[yi];
+                yp += width;
+            }
+
+            yi = x;
+            for (y = 0; y < height; y++) {
+                pixels[yi * 4] = Math.round(rsum / div);
+                pixels[yi * 4 + 1] = Math.round(gsum / div);
+                pixels[yi * 4 + 2] = Math.round(bsum / div);
+
+                if (x === 0) {
+                    vmin[y] = Math.min(y + radius + 1, hm) * width;
+                    vmax[y] = Math.max(y - radius, 0) * width;
+                }
+
+                const p1 = x + vmin[y];
+                const p2 = x + vmax[y];
+
+                rsum += r[p1] - r[p2];
+                gsum += g[p1] - g[p2];
+                bsum += b[p1] - b[p2];
+
+                yi += width;
+            }
+        }
+    }
+
+    // In a Worker, answer render jobs as they finish and transfer the
+    // resulting bitmap back instead of copying it
+    if (typeof scope.document === 'undefined') {
+        scope.onmessage = async (event) => {
+            const { id, job } = event.data;
+            try {
+                const result = await render(job);
+                scope.postMessage({ id, result }, result instanceof ImageBitmap ? [result] : []);
+            } catch (error) {
+                scope.postMessage({ id, error: { name: error.name, message: error.message } });
+            } finally {
+                job.bitmap.close();
+            }
+        };
+    }
+
+    return { render, SILHOUETTE_MARK };
+}
+
+self.HalalVisionImageProcessor = createImageProcessor(self);
@@ -0,0 +1,23 @@
+// Shadow Root Hook - runs in the page's main world
+// The isolated content script cannot see attachShadow() calls, so this hook
+// announces every new open shadow root with a DOM event on its host element.
+
+(function () {
+    'use strict';
+
+    const originalAttachShadow = Element.prototype.attachShadow;
+
+    Element.prototype.attachShadow = function (init) {
+        const root = originalAttachShadow.call(this, init);
+        if (init && init.mode === 'open') {
+            // Let the component finish setting up before announcing it
+            queueMicrotask(() => {
+                this.dispatchEvent(new CustomEvent('halalvision:shadowroot', {
+                    bubbles: true,
+                    composed: true
+                }));
+            });
+        }
+        return root;
+    };
+})();
@@ -0,0 +1,660 @@
+// Inference Host - Offscreen Document
+// Loads TensorFlow.js, Face-API and BodyPix once for the whole browser. Content
+// scripts reach it through the service worker (see src/background/inference-host.js)
+// with encoded frames and get detection results back.
+
+'use strict';
+
+// Detection sensitivity curve.
+// settings.detectionSensitivity (0.1 - 1.0) is mapped piecewise-linearly onto every
+// detector threshold. The anchors are chosen so the default of 0.7 reproduces the
+// values the detector used before the slider was wired up: lower sensitivity asks
+// for more evidence before blurring, higher sensitivity blurs on weaker evidence.
+//
+//   sensitivity             0.1     0.7     1.0
+//   faceScoreThreshold      0.60    0.30    0.15   TinyFaceDetector minimum face score
+//   genderConfidence        0.90    0.70    0.55   below this a face counts as 'unknown'
+//   segmentationThreshold   0.85    0.70    0.50   BodyPix per-pixel person probability
+//   bodyScoreThreshold      0.70    0.50    0.30   BodyPix minimum person score
+//   minPersonCoverage       2.0%    0.5%    0.2%   image share a body must cover
+//
+// From 0.9 upwards, faces whose gender stays 'unknown' are blurred as well.
+const SENSITIVITY_CURVE = {
+    faceScoreThreshold: [[0.1, 0.6], [0.7, 0.3], [1.0, 0.15]],
+    genderConfidence: [[0.1, 0.9], [0.7, 0.7], [1.0, 0.55]],
+    segmentationThreshold: [[0.1, 0.85], [0.7, 0.7], [1.0, 0.5]],
+    bodyScoreThreshold: [[0.1, 0.7], [0.7, 0.5], [1.0, 0.3]],
+    minPersonCoverage: [[0.1, 0.02], [0.7, 0.005], [1.0, 0.002]]
+};
+const BLUR_UNKNOWN_GENDER_SENSITIVITY = 0.9;
+
+function interpolateCurve(points, x) {
+    if (x <= points[0][0]) return points[0][1];
+    for (let i = 1; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        if (x <= x1) {
+            const [x0, y0] = points[i - 1];
+            return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+        }
+    }
+    return points[points.length - 1][1];
+}
+
+function getDetectionThresholds(sensitivity) {
+    const s = Number.isFinite(sensitivity) ? sensitivity : 0.7;
+    const thresholds = {};
+    for (const [name, points] of Object.entries(SENSITIVITY_CURVE)) {
+        thresholds[name] = interpolateCurve(points, s);
+    }
+    thresholds.blurUnknownGender = s >= BLUR_UNKNOWN_GENDER_SENSITIVITY;
+    return thresholds;
+}
+
+// Feedback reports list faces well below any detection threshold, so near
+// misses show up with their scores
+const DIAGNOSTIC_FACE_SCORE = 0.1;
+
+// Performance presets for settings.performanceMode. bodyPix follows the
+// global mode, since one net is loaded for every tab; the rest follow the
+// mode each detect request carries, which a site override may change.
+//   bodyPix               - BodyPix architecture passed to bodyPix.load()
+//   faceInputSize         - TinyFaceDetector input size for the gender pass (multiple of 32)
+//   faceProbeInputSize    - input size for the cheap "are there any faces at all" pass
+//   internalResolution    - BodyPix segmentation resolution
+//   maxPixels             - larger images are downscaled to this many pixels before inference
+//   videoSampleIntervalMs - pause between two analyzed video frames
+// 'balanced' matches the configuration the detector shipped with.
+const PERFORMANCE_PRESETS = {
+    fast: {
+        bodyPix: { architecture: 'MobileNetV1', outputStride: 16, multiplier: 0.5, quantBytes: 1 },
+        faceInputSize: 224,
+        faceProbeInputSize: 128,
+        internalResolution: 'low',
+        maxPixels: 512 * 512,
+        videoSampleIntervalMs: 1000
+    },
+    balanced: {
+        bodyPix: { architecture: 'MobileNetV1', outputStride: 16, multiplier: 0.5, quantBytes: 2 },
+        faceInputSize: 416,
+        faceProbeInputSize: 224,
+        internalResolution: 'medium',
+        maxPixels: 1024 * 1024,
+        videoSampleIntervalMs: 500
+    },
+    accurate: {
+        bodyPix: { architecture: 'ResNet50', outputStride: 16, quantBytes: 4 },
+        faceInputSize: 608,
+        faceProbeInputSize: 320,
+        internalResolution: 'high',
+        maxPixels: 1600 * 1600,
+        videoSampleIntervalMs: 250
+    }
+};
+
+function getPerformancePreset(mode) {
+    return PERFORMANCE_PRESETS[mode] || PERFORMANCE_PRESETS.balanced;
+}
+
+// Intrinsic pixel size of an image, video frame or canvas
+function getMediaSize(element) {
+    return {
+        width: element.naturalWidth || element.videoWidth || element.width || 0,
+        height: element.naturalHeight || element.videoHeight || element.height || 0
+    };
+}
+
+// ML Detector Class
+class HalalVisionDetector {
+    constructor() {
+        this.isLoaded = false;
+        // FaceAPI models
+        this.modelsLoaded = false;
+        this.performanceMode = null;
+        this.loading = null;
+    }
+
+    get preset() {
+        return getPerformancePreset(this.performanceMode);
+    }
+
+    // Load the models once; concurrent callers share the same load
+    initialize(performanceMode) {
+        if (!this.loading) {
+            this.loading = this.loadModels(performanceMode).then(() => {
+                // Let a later request retry if loading failed
+                if (!this.isLoaded) this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+
+    async loadModels(performanceMode) {
+        this.performanceMode = performanceMode;
+        try {
+            console.log('🕌 HalalVision: Checking dependencies...');
+
+            // Helper to wait for tf_full (our renamed TensorFlow.js)
+            let tfRetry = 0;
+            while (typeof tf_full === 'undefined' && tfRetry < 20) {
+                await new Promise(r => setTimeout(r, 200));
+                tfRetry++;
+            }
+
+            if (typeof tf_full === 'undefined') {
+                console.error('🕌 HalalVision: TensorFlow.js (tf_full) not found in window');
+                throw new Error('tf_full not found');
+            }
+            console.log('🕌 HalalVision: TensorFlow.js (tf_full) loaded');
+
+            // Helper to wait for global faceapi if needed
+            let retry = 0;
+            while (typeof faceapi === 'undefined' && retry < 20) {
+                await new Promise(r => setTimeout(r, 200));
+                retry++;
+            }
+
+            if (typeof faceapi === 'undefined') {
+                console.error('🕌 HalalVision: face-api.js not found in window');
+                throw new Error('face-api.js not found');
+            }
+            console.log('🕌 HalalVision: Face-API loaded');
+
+            // Load models from local extension directory
+            const modelPath = chrome.runtime.getURL('libs/models');
+            console.log('🕌 HalalVision: Loading models from:', modelPath);
+
+            await Promise.all([
+                faceapi.nets.tinyFaceDetector.loadFromUri(modelPath),
+                faceapi.nets.ageGenderNet.loadFromUri(modelPath)
+            ]).then(() => {
+                console.log('🕌 HalalVision: Face-API models loaded successfully');
+            }).catch(err => {
+                console.error('🕌 HalalVision: Error loading Face-API models:', err);
+                throw err;
+            });
+
+            // tf_full should have loadGraphModel as it is the full TFJS lib
+            // Debug available keys
+            console.log('🕌 HalalVision: tf_full keys:', Object.keys(tf_full).filter(k => k.startsWith('load') || k === 'io'));
+
+            if (!tf_full.loadGraphModel) {
+                if (tf_full.io && tf_full.io.loadGraphModel) {
+                    console.log('🕌 HalalVision: Found loadGraphModel under tf_full.io, shimming...');
+                    tf_full.loadGraphModel = tf_full.io.loadGraphModel;
+                } else {
+                    console.error('🕌 HalalVision: tf_full is defined but missing loadGraphModel. This is unexpected for the full version.');
+                    // Fallback check global tf
+                    if (typeof tf !== 'undefined' && tf.loadGraphModel) {
+                        console.log('🕌 HalalVision: Found global tf.loadGraphModel, aliasing...');
+                        tf_full.loadGraphModel = tf.loadGraphModel;
+                    }
+                }
+            }
+
+            // Also load BodyPix (it uses tf global)
+            await this.loadBodyModel();
+
+            this.isLoaded = true;
+            console.log('🕌 HalalVision: AI Models (Face-API + BodyPix) READY');
+        } catch (error) {
+            console.error('🕌 HalalVision: Model load failed:', error);
+            this.isLoaded = false;
+        }
+    }
+
+    async loadBodyModel() {
+        if (typeof bodyPix === 'undefined') {
+            console.warn('🕌 HalalVision: BodyPix not found');
+            return;
+        }
+
+        const config = this.preset.bodyPix;
+        console.log(`🕌 HalalVision: Loading BodyPix (${config.architecture}, mode ${this.performanceMode})...`);
+        // BodyPix needs tf.loadGraphModel
+        this.bodyModel = await bodyPix.load(config);
+        console.log('🕌 HalalVision: BodyPix loaded');
+    }
+
+    // Swap the model pipeline for another performance mode
+    async reload(performanceMode) {
+        if (performanceMode === this.performanceMode) return;
+
+        const previousModel = this.bodyModel;
+        this.performanceMode = performanceMode;
+        this.bodyModel = null;
+        if (previousModel) previousModel.dispose();
+
+        try {
+            await this.loadBodyModel();
+        } catch (error) {
+            console.error('🕌 HalalVision: BodyPix reload failed:', error);
+        }
+    }
+
+    // Downscale images above the preset's pixel cap. Returns the input to run
+    // inference on and the factor that maps input coordinates to the original.
+    prepareInput(element, preset) {
+        const { width, height } = getMediaSize(element);
+        const scale = Math.min(1, Math.sqrt(preset.maxPixels / Math.max(1, width * height)));
+        if (scale >= 1) return { input: element, scale: 1 };
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+        canvas.getContext('2d').drawImage(element, 0, 0, canvas.width, canvas.height);
+        return { input: canvas, scale: canvas.width / width };
+    }
+
+    async analyzeImage(sourceElement, settings) {
+        if (!this.isLoaded) throw new Error('Detector not loaded');
+
+        const results = {
+            faces: [],
+            people: [],
+            bodySegmentation: null,
+            shouldBlur: false,
+            // Pixel size the coordinates below refer to
+            ...getMediaSize(sourceElement)
+        };
+
+        const thresholds = getDetectionThresholds(settings.detectionSensitivity);
+        const preset = getPerformancePreset(settings.performanceMode);
+
+        try {
+            const { input: imageElement, scale } = this.prepareInput(sourceElement, preset);
+
+            // Every face found, flagged or not, in inference-input pixels.
+            // Bodies are matched against these in step 2.
+            const detectedFaces = [];
+            let faceDetectionRan = false;
+
+            // 1. Detect Faces & Gender with Face-API
+            if (settings.blurFaces || settings.blurMen || settings.blurWomen) {
+                faceDetectionRan = true;
+                // Detect all faces with gender
+                const detections = await faceapi.detectAllFaces(
+                    imageElement,
+                    new faceapi.TinyFaceDetectorOptions({ inputSize: preset.faceInputSize, scoreThreshold: thresholds.faceScoreThreshold })
+                ).withAgeAndGender();
+
+                if (detections.length > 0) {
+                    console.log(`🕌 HalalVision: Detected ${detections.length} faces`);
+                }
+
+                for (const detection of detections) {
+                    const { gender, genderProbability } = detection;
+                    const box = detection.detection.box;
+
+                    console.log(`🕌 HalalVision: Gender detected: ${gender} (${(genderProbability * 100).toFixed(1)}%)`);
+
+                    // Strict Gender Logic
+                    // Default to safe if probability is low -> Treat as "Unknown"
+                    let effectiveGender = gender;
+                    if (genderProbability < thresholds.genderConfidence) {
+                        effectiveGender = 'unknown';
+                        console.log(`🕌 HalalVision: Low confidence detection (${(genderProbability * 100).toFixed(1)}%), treating as unknown`);
+                    }
+
+                    let shouldBlurFace = false;
+
+                    if (settings.blurFaces) {
+                        // If "Blur All Faces" is on, we blur regardless of gender
+                        shouldBlurFace = true;
+                    } else {
+                        // Specific gender targeting
+                        if (settings.blurMen && effectiveGender === 'male') {
+                            shouldBlurFace = true;
+                            console.log(`🕌 HalalVision: Flagged male face for blurring`);
+                        }
+                        if (settings.blurWomen && effectiveGender === 'female') {
+                            shouldBlurFace = true;
+                            console.log(`🕌 HalalVision: Flagged female face for blurring`);
+                        }
+
+                        // Unknown faces are left alone unless sensitivity is near maximum,
+                        // to avoid annoying users with over-blurring.
+                        if (effectiveGender === 'unknown' && thresholds.blurUnknownGender &&
+                            (settings.blurMen || settings.blurWomen)) {
+                            shouldBlurFace = true;
+                            console.log(`🕌 HalalVision: Flagged unknown-gender face for blurring`);
+                        }
+                    }
+
+                    detectedFaces.push({ box, flagged: shouldBlurFace });
+
+                    if (shouldBlurFace) {
+                        // Convert FaceAPI box to our format, in source image pixels
+                        results.faces.push({
+                            topLeft: [box.x / scale, box.y / scale],
+                            bottomRight: [(box.x + box.width) / scale, (box.y + box.height) / scale],
+                            gender: effectiveGender,
+                            genderProbability
+                        });
+                    }
+                }
+            }
+
+            // 2. Body Detection (BodyPix)
+            // Only run if we need to blur bodies
+            if (settings.blurBodies) {
+                // BodyPix does not know gender, so each segmented person is matched to a
+                // face from step 1. Bodies of flagged faces are blurred, bodies of safe
+                // faces are not, and bodies without a face (back shots, faces out of
+                // frame) follow settings.unmatchedBodyPolicy.
+                if (!faceDetectionRan) {
+                    // No face targeting: we still need to know where faces are
+                    const probeFaces = await faceapi.detectAllFaces(
+                        imageElement,
+                        new faceapi.TinyFaceDetectorOptions({ inputSize: preset.faceProbeInputSize, scoreThreshold: thresholds.faceScoreThreshold })
+                    );
+                    probeFaces.forEach(face => detectedFaces.push({ box: face.box, flagged: false }));
+                }
+
+                const anyFlagged = detectedFaces.some(face => face.flagged);
+                const blurUnmatched = shouldBlurUnmatchedBodies(settings.unmatchedBodyPolicy, detectedFaces);
+
+                if (anyFlagged || blurUnmatched) {
+                    const people = await this.segmentPeople(imageElement, thresholds, preset);
+                    const selected = selectBodiesToBlur(people, detectedFaces, blurUnmatched);
+
+                    results.people = selected.summaries.map(person => ({
+                        ...person,
+                        bbox: person.bbox.map(value => value / scale)
+                    }));
+                    results.bodySegmentation = selected.mask;
+                }
+            }
+
+            results.shouldBlur = results.faces.length > 0 ||
+                Boolean(results.bodySegmentation && this.hasPersonInSegmentation(results.bodySegmentation, thresholds));
+
+            if (results.bodySegmentation) {
+                results.bodySegmentation = encodeSegmentation(results.bodySegmentation);
+            }
+
+        } catch (error) {
+            // A failed analysis must not pass for a clean image: the service
+            // worker does not cache it and the page keeps the media covered
+            console.error('🕌 HalalVision: Analysis failed:', error);
+            throw error;
+        }
+
+        return results;
+    }
+
+    // Raw model output for a feedback report, independent of the user's
+    // targets: every face above DIAGNOSTIC_FACE_SCORE with its age and gender
+    // scores, and the share of the image BodyPix marks as person. Boxes are
+    // [x, y, width, height] in source pixels.
+    async diagnoseImage(sourceElement, settings) {
+        if (!this.isLoaded) throw new Error('Detector not loaded');
+
+        const preset = getPerformancePreset(settings.performanceMode);
+        const thresholds = getDetectionThresholds(settings.detectionSensitivity);
+        const { input, scale } = this.prepareInput(sourceElement, preset);
+
+        const detections = await faceapi.detectAllFaces(
+            input,
+            new faceapi.TinyFaceDetectorOptions({ inputSize: preset.faceInputSize, scoreThreshold: DIAGNOSTIC_FACE_SCORE })
+        ).withAgeAndGender();
+
+        let bodyCoverage = null;
+        if (this.bodyModel) {
+            const segmentation = await this.bodyModel.segmentPerson(input, {
+                internalResolution: preset.internalResolution,
+                segmentationThreshold: thresholds.segmentationThreshold
+            });
+            const personPixels = segmentation.data.reduce((count, value) => count + (value > 0 ? 1 : 0), 0);
+            bodyCoverage = personPixels / Math.max(1, segmentation.data.length);
+        }
+
+        return {
+            ...getMediaSize(sourceElement),
+            performanceMode: settings.performanceMode,
+            modelMode: this.performanceMode,
+            thresholds,
+            faces: detections.map(detection => {
+                const box = detection.detection.box;
+                return {
+                    box: [box.x / scale, box.y / scale, box.width / scale, box.height / scale],
+                    score: detection.detection.score,
+                    gender: detection.gender,
+                    genderProbability: detection.genderProbability,
+                    age: detection.age
+                };
+            }),
+            bodyCoverage
+        };
+    }
+
+    // One segmentation per person; people below the coverage threshold are dropped
+    async segmentPeople(imageElement, thresholds, preset) {
+        if (!this.bodyModel) return [];
+        const people = await this.bodyModel.segmentMultiPerson(imageElement, {
+            internalResolution: preset.internalResolution,
+            segmentationThreshold: thresholds.segmentationThreshold,
+            scoreThreshold: thresholds.bodyScoreThreshold,
+            maxDetections: 10
+        });
+        return people.filter(person => this.hasPersonInSegmentation(person, thresholds));
+    }
+
+    hasPersonInSegmentation(segmentation, thresholds) {
+        if (!segmentation || !segmentation.data) return false;
+        const personPixelCount = segmentation.data.filter(val => val > 0).length;
+        const threshold = segmentation.data.length * thresholds.minPersonCoverage;
+        return personPixelCount > threshold;
+    }
+}
+
+// BodyPix keypoints that sit on the face: nose, eyes, ears
+const FACE_KEYPOINTS = ['nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar'];
+const MIN_KEYPOINT_SCORE = 0.3;
+
+// Whether bodies with no matching face get blurred.
+//   'blur' - always (safest)
+//   'skip' - never
+//   'auto' - unless every face in the photo was judged safe, which likely means
+//            the unmatched body belongs to one of those people
+function shouldBlurUnmatchedBodies(policy, faces) {
+    if (policy === 'blur') return true;
+    if (policy === 'skip') return false;
+    return faces.length === 0 || faces.some(face => face.flagged);
+}
+
+// How strongly a segmented person belongs to a face box: face keypoints inside
+// the (slightly expanded) box, or failing that the box centre lying on the mask
+function faceMatchScore(person, box) {
+    const padding = Math.max(box.width, box.height) * 0.2;
+    const inside = (x, y) => x >= box.x - padding && x <= box.x + box.width + padding &&
+        y >= box.y - padding && y <= box.y + box.height + padding;
+
+    const keypoints = (person.pose?.keypoints || []).filter(kp =>
+        FACE_KEYPOINTS.includes(kp.part) && kp.score >= MIN_KEYPOINT_SCORE);
+    const hits = keypoints.filter(kp => inside(kp.position.x, kp.position.y)).length;
+    if (hits > 0) return hits;
+
+    const cx = Math.round(box.x + box.width / 2);
+    const cy = Math.round(box.y + box.height / 2);
+    if (cx < 0 || cy < 0 || cx >= person.width || cy >= person.height) return 0;
+    return person.data[cy * person.width + cx] > 0 ? 0.5 : 0;
+}
+
+function maskBoundingBox(person) {
+    let minX = person.width, minY = person.height, maxX = -1, maxY = -1;
+    for (let y = 0; y < person.height; y++) {
+        for (let x = 0; x < person.width; x++) {
+            if (person.data[y * person.width + x] > 0) {
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+    }
+    return maxX < 0 ? [0, 0, 0, 0] : [minX, minY, maxX - minX + 1, maxY - minY + 1];
+}
+
+// Pair each person with at most one face (best matches first) and merge the
+// masks of every person whose body should be blurred into one segmentation
+function selectBodiesToBlur(people, faces, blurUnmatched) {
+    const candidates = [];
+    people.forEach((person, personIndex) => {
+        faces.forEach((face, faceIndex) => {
+            const score = faceMatchScore(person, face.box);
+            if (score > 0) candidates.push({ personIndex, faceIndex, score });
+        });
+    });
+    candidates.sort((a, b) => b.score - a.score);
+
+    const personToFace = new Map();
+    const usedFaces = new Set();
+    for (const { personIndex, faceIndex } of candidates) {
+        if (personToFace.has(personIndex) || usedFaces.has(faceIndex)) continue;
+        personToFace.set(personIndex, faceIndex);
+        usedFaces.add(faceIndex);
+    }
+
+    let mask = null;
+    const summaries = people.map((person, personIndex) => {
+        const faceIndex = personToFace.has(personIndex) ? personToFace.get(personIndex) : null;
+        const flagged = faceIndex === null ? blurUnmatched : faces[faceIndex].flagged;
+
+        if (flagged) {
+            if (!mask) {
+                mask = { width: person.width, height: person.height, data: new Uint8Array(person.width * person.height) };
+            }
+            for (let i = 0; i < person.data.length; i++) {
+                if (person.data[i] > 0) mask.data[i] = 1;
+            }
+        }
+
+        const pixels = person.data.reduce((count, value) => count + (value > 0 ? 1 : 0), 0);
+        return {
+            bbox: maskBoundingBox(person),
+            coverage: pixels / person.data.length,
+            matchedFace: faceIndex !== null,
+            flagged
+        };
+    });
+
+    return { mask, summaries };
+}
+
+// Run-length encode a BodyPix mask so it survives JSON messaging: alternating
+// run lengths of background and person pixels, starting with background.
+function encodeSegmentation(segmentation) {
+    const { data, width, height } = segmentation;
+    const runs = [];
+    let current = 0;
+    let length = 0;
+
+    for (let i = 0; i < data.length; i++) {
+        const value = data[i] > 0 ? 1 : 0;
+        if (value === current) {
+            length++;
+        } else {
+            runs.push(length);
+            current = value;
+            length = 1;
+        }
+    }
+    runs.push(length);
+
+    return { width, height, runs };
+}
+
+// Decode a data URL sent by a content script into something face-api can read.
+// Only data: images are accepted: the service worker fetches remote images
+// under its size and type limits, and a URL here would bypass them.
+async function decodeImage(dataUrl) {
+    if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:image/')) {
+        throw new Error('Expected a data:image/ URL');
+    }
+
+    const img = new Image();
+    img.src = dataUrl;
+    await img.decode();
+    return img;
+}
+
+// Serial request queue. Inference is run one job at a time, and a job whose
+// deadline passed while it was waiting is dropped instead of being run late.
+class InferenceQueue {
+    constructor() {
+        this.jobs = [];
+        this.running = false;
+    }
+
+    enqueue(task, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            this.jobs.push({ task, resolve, reject, deadline: Date.now() + timeoutMs });
+            this.drain();
+        });
+    }
+
+    async drain() {
+        if (this.running) return;
+        this.running = true;
+
+        while (this.jobs.length > 0) {
+            const job = this.jobs.shift();
+            if (Date.now() > job.deadline) {
+                job.reject(new Error('Request timed out in queue'));
+                continue;
+            }
+
+            try {
+                job.resolve(await job.task());
+            } catch (error) {
+                job.reject(error);
+            }
+        }
+
+        this.running = false;
+    }
+}
+
+const detector = new HalalVisionDetector();
+const queue = new InferenceQueue();
+
+async function handleHostMessage(message) {
+    switch (message.action) {
+        case 'initDetector':
+            await detector.initialize(message.performanceMode);
+            if (detector.isLoaded && message.performanceMode !== detector.performanceMode) {
+                await queue.enqueue(() => detector.reload(message.performanceMode), message.timeoutMs);
+            }
+            return {
+                ready: detector.isLoaded,
+                // What the content script needs of every mode: its pixel cap and video pace
+                presets: Object.fromEntries(Object.entries(PERFORMANCE_PRESETS).map(([mode, preset]) =>
+                    [mode, { maxPixels: preset.maxPixels, videoSampleIntervalMs: preset.videoSampleIntervalMs }]))
+            };
+
+        case 'detect':
+        case 'diagnose':
+            // Jobs use the BodyPix net of the global mode, which only changes
+            // through initDetector; swapping nets per job would reload it on
+            // every request. The rest of the preset follows the job's mode.
+            return queue.enqueue(async () => {
+                const image = await decodeImage(message.image);
+                return message.action === 'diagnose'
+                    ? detector.diagnoseImage(image, message.settings)
+                    : detector.analyzeImage(image, message.settings);
+            }, message.timeoutMs);
+
+        default:
+            throw new Error(`Unknown host action: ${message.action}`);
+    }
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // Only messages the service worker addresses to the host
+    if (message.target !== 'offscreen') return false;
+
+    handleHostMessage(message)
+        .then(result => sendResponse({ result }))
+        .catch(error => sendResponse({ error: error.message }));
+    return true; // Async response
+});
@@ -6,7 +6,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     const elements = {
         enabled: document.getElementById('enabled'),
         autoEnableOnStart: document.getElementById('autoEnableOnStart'),
+        hideUntilScanned: document.getElementById('hideUntilScanned'),
         showNotifications: document.getElementById('showNotifications'),
+        showPanicButton: document.getElementById('showPanicButton'),
         blurFaces: document.getElementById('blurFaces'),
         blurBodies: document.getElementById('blurBodies'),
         blurMen: document.getElementById('blurMen'),
@@ -14,17 +16,71 @@ document.addEventListener('DOMContentLoaded', async () => {
         processImages: document.getElementById('processImages'),
         processVideos: document.getElementById('processVideos'),
         detectionSensitivity: document.getElementById('detectionSensitivity'),
+        keywordBlur: document.getElementById('keywordBlur'),
+        collapseKeywordText: document.getElementById('collapseKeywordText'),
+        keywordList: document.getElementById('keywordList'),
+        unmatchedBodyPolicy: document.getElementById('unmatchedBodyPolicy'),
         sensitivityValue: document.getElementById('sensitivityValue'),
         blurIntensity: document.getElementById('blurIntensity'),
         blurIntensityValue: document.getElementById('blurIntensityValue'),
         blurPreview: document.getElementById('blurPreview'),
+        blurStyle: document.getElementById('blurStyle'),
+        pixelSize: document.getElementById('pixelSize'),
+        pixelSizeValue: document.getElementById('pixelSizeValue'),
+        coverColor: document.getElementById('coverColor'),
+        bodyMaskMargin: document.getElementById('bodyMaskMargin'),
+        bodyMaskMarginValue: document.getElementById('bodyMaskMarginValue'),
+        revealMode: document.getElementById('revealMode'),
+        autoReblurSeconds: document.getElementById('autoReblurSeconds'),
+        autoReblurSecondsValue: document.getElementById('autoReblurSecondsValue'),
+        reblurOnScrollAway: document.getElementById('reblurOnScrollAway'),
+        stylePreview: document.getElementById('stylePreview'),
+        scheduleItems: document.getElementById('scheduleItems'),
+        addScheduleBtn: document.getElementById('addScheduleBtn'),
         newSite: document.getElementById('newSite'),
         addSiteBtn: document.getElementById('addSiteBtn'),
         whitelistItems: document.getElementById('whitelistItems'),
+        newBlacklistSite: document.getElementById('newBlacklistSite'),
+        addBlacklistBtn: document.getElementById('addBlacklistBtn'),
+        blacklistItems: document.getElementById('blacklistItems'),
+        siteOverrideItems: document.getElementById('siteOverrideItems'),
+        imageRuleItems: document.getElementById('imageRuleItems'),
         performanceMode: document.getElementById('performanceMode'),
+        cacheStats: document.getElementById('cacheStats'),
+        clearCacheBtn: document.getElementById('clearCacheBtn'),
         resetBtn: document.getElementById('resetBtn'),
         exportBtn: document.getElementById('exportBtn'),
-        importBtn: document.getElementById('importBtn')
+        importBtn: document.getElementById('importBtn'),
+        importPreview: document.getElementById('importPreview'),
+        importSummary: document.getElementById('importSummary'),
+        importChangesTable: document.getElementById('importChangesTable'),
+        importChanges: document.getElementById('importChanges'),
+        importErrorsBox: document.getElementById('importErrorsBox'),
+        importErrors: document.getElementById('importErrors'),
+        importCancelBtn: document.getElementById('importCancelBtn'),
+        importApplyBtn: document.getElementById('importApplyBtn'),
+        pinStatus: document.getElementById('pinStatus'),
+        pinFormTitle: document.getElementById('pinFormTitle'),
+        newPin: document.getElementById('newPin'),
+        confirmPin: document.getElementById('confirmPin'),
+        savePinBtn: document.getElementById('savePinBtn'),
+        lockNowBtn: document.getElementById('lockNowBtn'),
+        removePinBtn: document.getElementById('removePinBtn'),
+        recoveryCodeBox: document.getElementById('recoveryCodeBox'),
+        recoveryCode: document.getElementById('recoveryCode'),
+        statsRange: document.getElementById('statsRange'),
+        statsSummary: document.getElementById('statsSummary'),
+        statsDailyChart: document.getElementById('statsDailyChart'),
+        statsCategoryChart: document.getElementById('statsCategoryChart'),
+        statsDomains: document.getElementById('statsDomains'),
+        exportStatsCsvBtn: document.getElementById('exportStatsCsvBtn'),
+        exportStatsJsonBtn: document.getElementById('exportStatsJsonBtn'),
+        feedbackSummary: document.getElementById('feedbackSummary'),
+        feedbackItems: document.getElementById('feedbackItems'),
+        exportFeedbackBtn: document.getElementById('exportFeedbackBtn'),
+        clearFeedbackBtn: document.getElementById('clearFeedbackBtn'),
+        shortcutItems: document.getElementById('shortcutItems'),
+        editShortcutsBtn: document.getElementById('editShortcutsBtn')
     };
 
     // Navigation
@@ -61,7 +117,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         elements.enabled.checked = settings.enabled;
         elements.autoEnableOnStart.checked = settings.autoEnableOnStart;
+        elements.hideUntilScanned.checked = Boolean(settings.hideUntilScanned);
         elements.showNotifications.checked = settings.showNotifications;
+        elements.showPanicButton.checked = Boolean(settings.showPanicButton);
         elements.blurFaces.checked = settings.blurFaces;
         elements.blurBodies.checked = settings.blurBodies;
         elements.blurMen.checked = settings.blurMen;
@@ -70,58 +128,717 @@ document.addEventListener('DOMContentLoaded', async () => {
         elements.processVideos.checked = settings.processVideos;
         elements.detectionSensitivity.value = settings.detectionSensitivity;
         elements.sensitivityValue.textContent = settings.detectionSensitivity;
+        elements.unmatchedBodyPolicy.value = settings.unmatchedBodyPolicy || 'auto';
+        elements.keywordBlur.checked = settings.keywordBlur !== false;
+        elements.collapseKeywordText.checked = Boolean(settings.collapseKeywordText);
+        elements.keywordList.value = (settings.keywordList || []).join('\n');
         elements.blurIntensity.value = settings.blurIntensity;
         elements.blurIntensityValue.textContent = settings.blurIntensity;
+        elements.blurStyle.value = settings.blurStyle || 'blur';
+        elements.pixelSize.value = settings.pixelSize || 16;
+        elements.pixelSizeValue.textContent = elements.pixelSize.value;
+        elements.coverColor.value = settings.coverColor || '#1F2937';
+        elements.bodyMaskMargin.value = settings.bodyMaskMargin ?? 2;
+        elements.bodyMaskMarginValue.textContent = elements.bodyMaskMargin.value;
+        elements.revealMode.value = settings.revealMode || 'hold';
+        elements.autoReblurSeconds.value = settings.autoReblurSeconds ?? 10;
+        elements.autoReblurSecondsValue.textContent = elements.autoReblurSeconds.value;
+        elements.reblurOnScrollAway.checked = settings.reblurOnScrollAway !== false;
+        updateRevealControls();
         elements.performanceMode.value = settings.performanceMode;
 
         updateBlurPreview();
         renderWhitelist();
+        renderBlacklist();
+        renderSiteOverrides();
+        renderSchedules();
     }
 
-    async function saveSettings() {
-        await chrome.runtime.sendMessage({
+    // source: 'import' for imported settings, which always need the PIN.
+    // A refused change (PIN lock) reloads the stored settings into the UI.
+    async function saveSettings(source = null) {
+        const response = await HalalVisionPin.request({
             action: 'updateSettings',
-            settings
+            settings,
+            source
         });
+        if (!response || response.error) {
+            if (response && response.error === 'invalid') {
+                alert(`Pengaturan tidak valid:\n${formatSettingErrors(response.errors)}`);
+            }
+            await loadSettings();
+            return false;
+        }
+        return true;
+    }
+
+    function formatSettingErrors(errors) {
+        return errors.map(error => error.key ? `${error.key}: ${error.message}` : error.message).join('\n');
+    }
+
+    async function loadPinStatus() {
+        const status = await chrome.runtime.sendMessage({ action: 'getPinStatus' });
+
+        if (!status.enabled) {
+            elements.pinStatus.textContent = 'PIN belum diatur. Siapa pun dapat menonaktifkan perlindungan.';
+        } else if (status.lockedUntil) {
+            elements.pinStatus.textContent = 'PIN aktif. Terkunci sementara karena terlalu banyak percobaan salah.';
+        } else {
+            elements.pinStatus.textContent = status.unlocked
+                ? 'PIN aktif dan sedang terbuka untuk beberapa menit.'
+                : 'PIN aktif dan terkunci.';
+        }
+
+        elements.pinFormTitle.textContent = status.enabled ? 'Ganti PIN' : 'Buat PIN';
+        elements.lockNowBtn.hidden = !status.enabled;
+        elements.removePinBtn.hidden = !status.enabled;
+    }
+
+    async function loadCacheStats() {
+        const { stats } = await chrome.runtime.sendMessage({ action: 'getCacheStats' });
+        const megabytes = (stats.bytes / (1024 * 1024)).toFixed(1);
+        elements.cacheStats.textContent = `${stats.entries} gambar, ${megabytes} MB`;
+    }
+
+    // Shortcuts are declared in the manifest; Chrome only lets the user
+    // rebind them on its own shortcuts page
+    async function loadShortcuts() {
+        const commands = await chrome.commands.getAll();
+        elements.shortcutItems.innerHTML = '';
+
+        commands.filter(command => command.description).forEach(command => {
+            const li = document.createElement('li');
+            li.className = 'site-item';
+            li.innerHTML = `
+                <span class="site-name"></span>
+                <kbd class="shortcut-key"></kbd>
+            `;
+            li.querySelector('.site-name').textContent = command.description;
+            li.querySelector('.shortcut-key').textContent = command.shortcut || 'Belum diatur';
+            elements.shortcutItems.appendChild(li);
+        });
+    }
+
+    // Statistics history: { 'YYYY-MM-DD': { domain: counts } }, see background/stats.js
+    const STAT_FIELDS = ['images', 'videos', 'reveals', 'faces', 'bodies', 'men', 'women'];
+    const STAT_CATEGORIES = [
+        ['faces', 'Wajah', '#10B981'],
+        ['bodies', 'Tubuh', '#6366F1'],
+        ['men', 'Laki-laki', '#0EA5E9'],
+        ['women', 'Perempuan', '#EC4899']
+    ];
+    let statsHistory = {};
+
+    function dayKey(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // The last `days` days, oldest first, including days without activity
+    function getStatsDays(days) {
+        const result = [];
+        const date = new Date();
+        date.setDate(date.getDate() - days + 1);
+        for (let i = 0; i < days; i++) {
+            result.push(dayKey(date));
+            date.setDate(date.getDate() + 1);
+        }
+        return result;
+    }
+
+    function sumCounts(countsList) {
+        const total = Object.fromEntries(STAT_FIELDS.map(field => [field, 0]));
+        countsList.forEach(counts => STAT_FIELDS.forEach(field => {
+            total[field] += counts[field] || 0;
+        }));
+        return total;
+    }
+
+    async function loadStatsHistory() {
+        const { history } = await chrome.runtime.sendMessage({ action: 'getStatsHistory' });
+        statsHistory = history || {};
+        renderStats();
+    }
+
+    function renderStats() {
+        const days = getStatsDays(parseInt(elements.statsRange.value));
+        const daily = days.map(day => sumCounts(Object.values(statsHistory[day] || {})));
+        const total = sumCounts(daily);
+
+        elements.statsSummary.textContent =
+            `${total.images} gambar dan ${total.videos} video diblur, ${total.reveals} kali dibuka`;
+
+        drawDailyChart(elements.statsDailyChart, days, daily);
+        drawCategoryChart(elements.statsCategoryChart, total);
+        renderStatsDomains(days);
+    }
+
+    function getChartTextColor() {
+        return getComputedStyle(document.body).color;
+    }
+
+    // Images and videos per day as side-by-side bars
+    function drawDailyChart(canvas, days, daily) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const bottom = height - 24;
+        const max = Math.max(1, ...daily.map(counts => Math.max(counts.images, counts.videos)));
+        const slot = width / days.length;
+        const barWidth = Math.max(1, slot * 0.35);
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = getChartTextColor();
+        ctx.font = '11px sans-serif';
+        ctx.fillText(`maks. ${max}`, 0, 12);
+
+        daily.forEach((counts, i) => {
+            const x = i * slot + slot * 0.15;
+            [['images', '#10B981'], ['videos', '#6366F1']].forEach(([field, color], j) => {
+                const barHeight = (counts[field] / max) * (bottom - 20);
+                ctx.fillStyle = color;
+                ctx.fillRect(x + j * barWidth, bottom - barHeight, barWidth, barHeight);
+            });
+        });
+
+        // Label the first, middle and last day
+        ctx.fillStyle = getChartTextColor();
+        [0, Math.floor(days.length / 2), days.length - 1].forEach((index, i) => {
+            ctx.textAlign = ['left', 'center', 'right'][i];
+            const x = [0, index * slot + slot / 2, width][i];
+            ctx.fillText(days[index].slice(5), x, height - 6);
+        });
+        ctx.textAlign = 'left';
+    }
+
+    function drawCategoryChart(canvas, total) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const labelWidth = 90;
+        const rowHeight = height / STAT_CATEGORIES.length;
+        const max = Math.max(1, ...STAT_CATEGORIES.map(([field]) => total[field]));
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '12px sans-serif';
+        ctx.textBaseline = 'middle';
+
+        STAT_CATEGORIES.forEach(([field, label, color], i) => {
+            const y = i * rowHeight + rowHeight / 2;
+            const barWidth = (total[field] / max) * (width - labelWidth - 60);
+
+            ctx.fillStyle = getChartTextColor();
+            ctx.fillText(label, 0, y);
+            ctx.fillText(String(total[field]), labelWidth + barWidth + 8, y);
+            ctx.fillStyle = color;
+            ctx.fillRect(labelWidth, y - rowHeight * 0.3, barWidth, rowHeight * 0.6);
+        });
+    }
+
+    function renderStatsDomains(days) {
+        const byDomain = {};
+        days.forEach(day => {
+            Object.entries(statsHistory[day] || {}).forEach(([domain, counts]) => {
+                byDomain[domain] = sumCounts([byDomain[domain] || {}, counts]);
+            });
+        });
+
+        const top = Object.entries(byDomain)
+            .sort(([, a], [, b]) => (b.images + b.videos) - (a.images + a.videos))
+            .slice(0, 10);
+
+        elements.statsDomains.innerHTML = '';
+        if (top.length === 0) {
+            elements.statsDomains.innerHTML = `<tr><td colspan="4" style="color: #666; text-align: center;">Belum ada data</td></tr>`;
+            return;
+        }
+
+        top.forEach(([domain, counts]) => {
+            const row = document.createElement('tr');
+            [domain, counts.images, counts.videos, counts.reveals].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            elements.statsDomains.appendChild(row);
+        });
+    }
+
+    function downloadFile(filename, type, content) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // One row per day and domain
+    function statsToCsv(history) {
+        const escape = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const rows = [['date', 'domain', ...STAT_FIELDS].join(',')];
+        Object.keys(history).sort().forEach(day => {
+            Object.entries(history[day]).forEach(([domain, counts]) => {
+                rows.push([day, escape(domain), ...STAT_FIELDS.map(field => counts[field] || 0)].join(','));
+            });
+        });
+        return rows.join('\n');
+    }
+
+    // Timers and scroll re-blur do not apply when content cannot be opened
+    function updateRevealControls() {
+        const disabled = elements.revealMode.value === 'disabled';
+        elements.autoReblurSeconds.disabled = disabled;
+        elements.reblurOnScrollAway.disabled = disabled;
     }
 
     function updateBlurPreview() {
         elements.blurPreview.style.filter = `blur(${settings.blurIntensity}px)`;
+        renderStylePreview();
+    }
+
+    // Draw a sample face and cover it the way the content script would
+    function renderStylePreview() {
+        const canvas = elements.stylePreview;
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const style = settings.blurStyle || 'blur';
+        const face = { x: 35, y: 25, width: 80, height: 90 };
+
+        ctx.filter = 'none';
+        ctx.fillStyle = '#10B981';
+        ctx.fillRect(0, 0, width, height);
+        ctx.fillStyle = '#FCD34D';
+        ctx.beginPath();
+        ctx.ellipse(75, 70, 32, 40, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#1F2937';
+        ctx.fillRect(60, 60, 8, 8);
+        ctx.fillRect(82, 60, 8, 8);
+        ctx.fillRect(64, 88, 22, 4);
+
+        const region = document.createElement('canvas');
+        region.width = face.width;
+        region.height = face.height;
+        const regionCtx = region.getContext('2d');
+
+        if (style === 'solid' || style === 'silhouette') {
+            ctx.fillStyle = settings.coverColor || '#1F2937';
+            if (style === 'solid') {
+                ctx.fillRect(face.x, face.y, face.width, face.height);
+                return;
+            }
+            ctx.beginPath();
+            ctx.ellipse(face.x + face.width / 2, face.y + face.height / 2,
+                face.width / 2, face.height / 2, 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.font = `${Math.round(Math.min(face.width, face.height) * 0.5)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('🕌', face.x + face.width / 2, face.y + face.height / 2);
+            return;
+        }
+
+        if (style === 'pixelate') {
+            // Shrink, then scale back up without smoothing
+            const size = Math.max(2, settings.pixelSize || 16);
+            const small = document.createElement('canvas');
+            small.width = Math.max(1, Math.ceil(face.width / size));
+            small.height = Math.max(1, Math.ceil(face.height / size));
+            small.getContext('2d').drawImage(canvas, face.x, face.y, face.width, face.height,
+                0, 0, small.width, small.height);
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(small, face.x, face.y, face.width, face.height);
+            ctx.imageSmoothingEnabled = true;
+            return;
+        }
+
+        regionCtx.filter = style === 'grayscale'
+            ? `grayscale(1) blur(${settings.blurIntensity}px)`
+            : `blur(${settings.blurIntensity}px)`;
+        regionCtx.drawImage(canvas, face.x, face.y, face.width, face.height, 0, 0, face.width, face.height);
+        ctx.drawImage(region, face.x, face.y);
     }
 
     function renderWhitelist() {
-        elements.whitelistItems.innerHTML = '';
+        renderSiteList('whitelist', elements.whitelistItems, 'Belum ada situs di whitelist');
+    }
+
+    function renderBlacklist() {
+        renderSiteList('blacklist', elements.blacklistItems, 'Belum ada situs di blacklist');
+    }
 
-        if (!settings.whitelist || settings.whitelist.length === 0) {
-            elements.whitelistItems.innerHTML = '<li style="padding: 24px; color: #666; text-align: center;">Belum ada situs di whitelist</li>';
+    function renderSiteList(listName, container, emptyText) {
+        container.innerHTML = '';
+
+        if (!settings[listName] || settings[listName].length === 0) {
+            container.innerHTML = `<li style="padding: 24px; color: #666; text-align: center;">${emptyText}</li>`;
             return;
         }
 
-        settings.whitelist.forEach((site, index) => {
+        settings[listName].forEach((site, index) => {
             const li = document.createElement('li');
             li.className = 'site-item';
             li.innerHTML = `
-                <span class="site-name">${site}</span>
+                <span class="site-name"></span>
                 <button class="remove-btn" data-index="${index}">✕</button>
             `;
-            elements.whitelistItems.appendChild(li);
+            li.querySelector('.site-name').textContent = site;
+            container.appendChild(li);
         });
 
         // Add remove handlers
-        document.querySelectorAll('.remove-btn').forEach(btn => {
+        container.querySelectorAll('.remove-btn').forEach(btn => {
             btn.addEventListener('click', async () => {
                 const index = parseInt(btn.dataset.index);
-                settings.whitelist.splice(index, 1);
+                settings[listName].splice(index, 1);
                 await saveSettings();
-                renderWhitelist();
+                renderSiteList(listName, container, emptyText);
+            });
+        });
+    }
+
+    const IMAGE_RULE_LABELS = {
+        blur: 'Selalu blur',
+        allow: 'Jangan pernah blur'
+    };
+
+    async function loadImageRules() {
+        const { rules } = await chrome.runtime.sendMessage({ action: 'getImageRules' });
+        const container = elements.imageRuleItems;
+        const entries = [
+            ...Object.entries(rules.hosts).map(([key, rule]) => ({ scope: 'host', key, rule })),
+            ...Object.entries(rules.urls).map(([key, rule]) => ({ scope: 'url', key, rule }))
+        ];
+        container.innerHTML = '';
+
+        if (entries.length === 0) {
+            container.innerHTML = `<li style="padding: 24px; color: #666; text-align: center;">Belum ada aturan gambar</li>`;
+            return;
+        }
+
+        entries.forEach(({ scope, key, rule }) => {
+            const li = document.createElement('li');
+            li.className = 'site-item';
+            li.innerHTML = `
+                <div>
+                    <span class="site-name image-rule-key"></span>
+                    <p class="site-override-summary"></p>
+                </div>
+                <button class="remove-btn" title="Hapus aturan">✕</button>
+            `;
+            li.querySelector('.site-name').textContent = key;
+            li.querySelector('.site-override-summary').textContent =
+                `${IMAGE_RULE_LABELS[rule]} · ${scope === 'host' ? 'semua gambar dari host ini' : 'gambar ini'}`;
+
+            // Removing a blur rule weakens protection, so it may need the PIN
+            li.querySelector('.remove-btn').addEventListener('click', async () => {
+                const response = await HalalVisionPin.request({ action: 'setImageRule', scope, key, rule: null });
+                if (response && response.success) await loadImageRules();
+            });
+            container.appendChild(li);
+        });
+    }
+
+    const FEEDBACK_KIND_LABELS = {
+        'false-positive': 'Salah blur',
+        'false-negative': 'Terlewat'
+    };
+
+    // What the image really shows; the label each exported item carries
+    const FEEDBACK_LABELS = {
+        male: 'Laki-laki',
+        female: 'Perempuan',
+        mixed: 'Campuran',
+        none: 'Tanpa orang'
+    };
+
+    let feedbackReports = [];
+
+    // Raw scores in short form, e.g. "2 wajah: P 87% ~24 th, L 61% ~40 th · tubuh 23%"
+    function describeDetection(detection) {
+        if (!detection || detection.error) return 'Skor tidak tersedia';
+
+        const faces = detection.faces.map(face =>
+            `${face.gender === 'male' ? 'L' : 'P'} ${Math.round(face.genderProbability * 100)}% ~${Math.round(face.age)} th`);
+        const parts = [faces.length > 0 ? `${faces.length} wajah: ${faces.join(', ')}` : 'tanpa wajah'];
+        if (detection.bodyCoverage !== null) parts.push(`tubuh ${Math.round(detection.bodyCoverage * 100)}%`);
+        return parts.join(' · ');
+    }
+
+    function getReportHost(url) {
+        try {
+            return new URL(url).hostname;
+        } catch {
+            return '-';
+        }
+    }
+
+    async function loadFeedbackReports() {
+        const { reports } = await chrome.runtime.sendMessage({ action: 'getFeedbackReports' });
+        feedbackReports = reports || [];
+        renderFeedbackReports();
+    }
+
+    function renderFeedbackReports() {
+        const container = elements.feedbackItems;
+        const labeled = feedbackReports.filter(report => report.label).length;
+        elements.feedbackSummary.textContent =
+            `${feedbackReports.length} laporan, ${labeled} sudah diberi label`;
+        container.innerHTML = '';
+
+        if (feedbackReports.length === 0) {
+            container.innerHTML = `<li style="padding: 24px; color: #666; text-align: center;">Belum ada laporan</li>`;
+            return;
+        }
+
+        // Newest first
+        [...feedbackReports].reverse().forEach(report => {
+            const li = document.createElement('li');
+            li.className = 'site-item feedback-item';
+            li.innerHTML = `
+                <img class="feedback-thumbnail" alt="">
+                <div class="feedback-details">
+                    <span class="site-name"></span>
+                    <p class="site-override-summary feedback-kind"></p>
+                    <p class="site-override-summary feedback-scores"></p>
+                </div>
+                <select class="select-input feedback-label">
+                    <option value="">Belum diberi label</option>
+                </select>
+                <button class="remove-btn" title="Hapus laporan">✕</button>
+            `;
+
+            if (report.thumbnail) li.querySelector('.feedback-thumbnail').src = report.thumbnail;
+            li.querySelector('.site-name').textContent = report.imageUrl || '-';
+            li.querySelector('.site-name').title = report.imageUrl;
+            li.querySelector('.feedback-kind').textContent =
+                `${FEEDBACK_KIND_LABELS[report.kind]} · ${getReportHost(report.pageUrl)} · ` +
+                new Date(report.createdAt).toLocaleString('id-ID');
+            li.querySelector('.feedback-scores').textContent = describeDetection(report.detection);
+
+            const select = li.querySelector('.feedback-label');
+            Object.entries(FEEDBACK_LABELS).forEach(([value, label]) => {
+                select.add(new Option(label, value));
+            });
+            select.value = report.label || '';
+            select.addEventListener('change', async () => {
+                await chrome.runtime.sendMessage({
+                    action: 'labelFeedbackReport',
+                    id: report.id,
+                    label: select.value || null
+                });
+                await loadFeedbackReports();
+            });
+
+            li.querySelector('.remove-btn').addEventListener('click', async () => {
+                await chrome.runtime.sendMessage({ action: 'removeFeedbackReport', id: report.id });
+                await loadFeedbackReports();
+            });
+            container.appendChild(li);
+        });
+    }
+
+    const PERFORMANCE_MODE_LABELS = {
+        fast: 'Cepat',
+        balanced: 'Seimbang',
+        accurate: 'Akurat'
+    };
+
+    // Short description of what an override changes, e.g. "Wajah · Intensitas 40 · Cepat"
+    function describeSiteOverride(override) {
+        const effective = { ...settings, ...override };
+        const targets = [
+            effective.blurFaces && 'Wajah',
+            effective.blurBodies && 'Tubuh',
+            effective.blurMen && 'Laki-laki',
+            effective.blurWomen && 'Perempuan'
+        ].filter(Boolean);
+
+        return [
+            targets.length > 0 ? targets.join(', ') : 'Tanpa target',
+            `Intensitas ${effective.blurIntensity}`,
+            effective.processVideos ? 'Video' : 'Tanpa video',
+            PERFORMANCE_MODE_LABELS[effective.performanceMode] || effective.performanceMode
+        ].join(' · ');
+    }
+
+    function renderSiteOverrides() {
+        const container = elements.siteOverrideItems;
+        const patterns = Object.keys(settings.siteOverrides || {});
+        container.innerHTML = '';
+
+        if (patterns.length === 0) {
+            container.innerHTML = `<li style="padding: 24px; color: #666; text-align: center;">Belum ada situs dengan pengaturan khusus</li>`;
+            return;
+        }
+
+        patterns.forEach(pattern => {
+            const li = document.createElement('li');
+            li.className = 'site-item';
+            li.innerHTML = `
+                <div>
+                    <span class="site-name"></span>
+                    <p class="site-override-summary"></p>
+                </div>
+                <button class="remove-btn" title="Hapus pengaturan khusus">✕</button>
+            `;
+            li.querySelector('.site-name').textContent = pattern;
+            li.querySelector('.site-override-summary').textContent = describeSiteOverride(settings.siteOverrides[pattern]);
+
+            li.querySelector('.remove-btn').addEventListener('click', async () => {
+                const siteOverrides = { ...settings.siteOverrides };
+                delete siteOverrides[pattern];
+                settings.siteOverrides = siteOverrides;
+                if (await saveSettings()) renderSiteOverrides();
             });
+            container.appendChild(li);
         });
     }
 
+    const DAY_LABELS = ['Min', 'Sen', 'Sel', 'Rab', 'Kam', 'Jum', 'Sab'];
+    // Settings a schedule window can change here; the rest follow the global settings
+    const SCHEDULE_TOGGLE_LABELS = {
+        enabled: 'Perlindungan aktif',
+        blurMen: 'Laki-laki',
+        blurWomen: 'Perempuan',
+        blurFaces: 'Wajah',
+        blurBodies: 'Tubuh',
+        processImages: 'Gambar',
+        processVideos: 'Video',
+        keywordBlur: 'Kata kunci'
+    };
+
+    // New windows start strict, e.g. for work hours
+    const NEW_SCHEDULE_SETTINGS = {
+        enabled: true,
+        blurMen: true,
+        blurWomen: true,
+        blurFaces: true,
+        blurBodies: true,
+        processImages: true,
+        processVideos: true,
+        keywordBlur: true,
+        blurIntensity: 50
+    };
+
+    function renderSchedules() {
+        const container = elements.scheduleItems;
+        container.innerHTML = '';
+
+        if (!settings.schedules || settings.schedules.length === 0) {
+            container.innerHTML = `<li style="padding: 24px; color: #666; text-align: center;">Belum ada jadwal</li>`;
+            return;
+        }
+
+        settings.schedules.forEach((schedule, index) => {
+            const li = document.createElement('li');
+            li.className = 'site-item schedule-item';
+            li.innerHTML = `
+                <input type="text" data-field="label" placeholder="Nama jadwal">
+                <div class="schedule-days">
+                    ${DAY_LABELS.map((day, i) => `
+                        <label><input type="checkbox" data-day="${i}">${day}</label>
+                    `).join('')}
+                </div>
+                <input type="time" data-field="start">
+                <span>-</span>
+                <input type="time" data-field="end">
+                <button class="remove-btn" title="Hapus jadwal">✕</button>
+                <div class="schedule-settings">
+                    ${Object.entries(SCHEDULE_TOGGLE_LABELS).map(([key, label]) => `
+                        <label><input type="checkbox" data-setting="${key}">${label}</label>
+                    `).join('')}
+                    <label>Intensitas
+                        <input type="range" data-setting="blurIntensity" min="5" max="50">
+                        <span class="schedule-intensity-value"></span>
+                    </label>
+                </div>
+            `;
+
+            li.querySelectorAll('[data-field]').forEach(input => {
+                input.value = schedule[input.dataset.field] || '';
+                input.addEventListener('change', async () => {
+                    schedule[input.dataset.field] = input.value;
+                    await saveSettings();
+                });
+            });
+
+            li.querySelectorAll('[data-day]').forEach(checkbox => {
+                const day = parseInt(checkbox.dataset.day);
+                checkbox.checked = schedule.days.includes(day);
+                checkbox.addEventListener('change', async () => {
+                    schedule.days = checkbox.checked
+                        ? [...schedule.days, day].sort()
+                        : schedule.days.filter(d => d !== day);
+                    await saveSettings();
+                });
+            });
+
+            // Keys the window does not set show the global value
+            const intensityValue = li.querySelector('.schedule-intensity-value');
+            li.querySelectorAll('[data-setting]').forEach(input => {
+                const key = input.dataset.setting;
+                const value = key in schedule.settings ? schedule.settings[key] : settings[key];
+                if (input.type === 'checkbox') {
+                    input.checked = value;
+                } else {
+                    input.value = value;
+                    intensityValue.textContent = value;
+                    input.addEventListener('input', () => {
+                        intensityValue.textContent = input.value;
+                    });
+                }
+
+                input.addEventListener('change', async () => {
+                    schedule.settings = {
+                        ...schedule.settings,
+                        [key]: input.type === 'checkbox' ? input.checked : parseInt(input.value)
+                    };
+                    await saveSettings();
+                });
+            });
+
+            li.querySelector('.remove-btn').addEventListener('click', async () => {
+                settings.schedules.splice(index, 1);
+                await saveSettings();
+                renderSchedules();
+            });
+
+            container.appendChild(li);
+        });
+    }
+
+    // Same normalization as the service worker: no scheme, no "www.", lowercase host
+    function normalizeSitePattern(input) {
+        const pattern = input.trim().replace(/^[a-z]+:\/\//i, '');
+        const slash = pattern.indexOf('/');
+        const host = (slash === -1 ? pattern : pattern.slice(0, slash)).toLowerCase().replace(/^www\./, '');
+        const path = slash === -1 ? '' : pattern.slice(slash).replace(/\/+$/, '');
+        return host + path;
+    }
+
+    async function addSiteToList(listName, input) {
+        const site = normalizeSitePattern(input.value);
+        if (!site) return;
+
+        if (!settings[listName]) settings[listName] = [];
+        if (!settings[listName].includes(site)) {
+            settings[listName].push(site);
+            await saveSettings();
+            if (listName === 'whitelist') {
+                renderWhitelist();
+            } else {
+                renderBlacklist();
+            }
+        }
+        input.value = '';
+    }
+
     // Event Listeners
-    const toggles = ['enabled', 'autoEnableOnStart', 'showNotifications',
+    const toggles = ['enabled', 'autoEnableOnStart', 'hideUntilScanned', 'showNotifications', 'showPanicButton',
+        'reblurOnScrollAway',
         'blurFaces', 'blurBodies', 'blurMen', 'blurWomen',
-        'processImages', 'processVideos'];
+        'processImages', 'processVideos', 'keywordBlur', 'collapseKeywordText'];
 
     toggles.forEach(id => {
         elements[id].addEventListener('change', async () => {
@@ -139,6 +856,18 @@ document.addEventListener('DOMContentLoaded', async () => {
         await saveSettings();
     });
 
+    // One keyword per line; the service worker rejects invalid regexes
+    elements.keywordList.addEventListener('change', async () => {
+        const keywords = elements.keywordList.value.split('\n').map(line => line.trim()).filter(Boolean);
+        settings.keywordList = [...new Set(keywords)];
+        await saveSettings();
+    });
+
+    elements.unmatchedBodyPolicy.addEventListener('change', async () => {
+        settings.unmatchedBodyPolicy = elements.unmatchedBodyPolicy.value;
+        await saveSettings();
+    });
+
     elements.blurIntensity.addEventListener('input', () => {
         elements.blurIntensityValue.textContent = elements.blurIntensity.value;
         settings.blurIntensity = parseInt(elements.blurIntensity.value);
@@ -149,21 +878,62 @@ document.addEventListener('DOMContentLoaded', async () => {
         await saveSettings();
     });
 
+    elements.blurStyle.addEventListener('change', async () => {
+        settings.blurStyle = elements.blurStyle.value;
+        updateBlurPreview();
+        await saveSettings();
+    });
+
+    elements.pixelSize.addEventListener('input', () => {
+        settings.pixelSize = parseInt(elements.pixelSize.value);
+        elements.pixelSizeValue.textContent = settings.pixelSize;
+        updateBlurPreview();
+    });
+
+    elements.pixelSize.addEventListener('change', async () => {
+        await saveSettings();
+    });
+
+    elements.coverColor.addEventListener('input', () => {
+        settings.coverColor = elements.coverColor.value;
+        updateBlurPreview();
+    });
+
+    elements.coverColor.addEventListener('change', async () => {
+        await saveSettings();
+    });
+
+    elements.bodyMaskMargin.addEventListener('input', () => {
+        elements.bodyMaskMarginValue.textContent = elements.bodyMaskMargin.value;
+    });
+
+    elements.bodyMaskMargin.addEventListener('change', async () => {
+        settings.bodyMaskMargin = parseInt(elements.bodyMaskMargin.value);
+        await saveSettings();
+    });
+
+    elements.revealMode.addEventListener('change', async () => {
+        settings.revealMode = elements.revealMode.value;
+        updateRevealControls();
+        await saveSettings();
+    });
+
+    elements.autoReblurSeconds.addEventListener('input', () => {
+        elements.autoReblurSecondsValue.textContent = elements.autoReblurSeconds.value;
+    });
+
+    elements.autoReblurSeconds.addEventListener('change', async () => {
+        settings.autoReblurSeconds = parseInt(elements.autoReblurSeconds.value);
+        await saveSettings();
+    });
+
     elements.performanceMode.addEventListener('change', async () => {
         settings.performanceMode = elements.performanceMode.value;
         await saveSettings();
     });
 
     elements.addSiteBtn.addEventListener('click', async () => {
-        const site = elements.newSite.value.trim().toLowerCase();
-
-        if (site && !settings.whitelist.includes(site)) {
-            if (!settings.whitelist) settings.whitelist = [];
-            settings.whitelist.push(site);
-            await saveSettings();
-            renderWhitelist();
-            elements.newSite.value = '';
-        }
+        await addSiteToList('whitelist', elements.newSite);
     });
 
     elements.newSite.addEventListener('keypress', (e) => {
@@ -172,24 +942,178 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    elements.addBlacklistBtn.addEventListener('click', async () => {
+        await addSiteToList('blacklist', elements.newBlacklistSite);
+    });
+
+    elements.newBlacklistSite.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            elements.addBlacklistBtn.click();
+        }
+    });
+
+    elements.addScheduleBtn.addEventListener('click', async () => {
+        if (!settings.schedules) settings.schedules = [];
+        settings.schedules.push({
+            id: `schedule-${Date.now()}`,
+            label: '',
+            days: [1, 2, 3, 4, 5],
+            start: '08:00',
+            end: '17:00',
+            settings: { ...NEW_SCHEDULE_SETTINGS }
+        });
+        await saveSettings();
+        renderSchedules();
+    });
+
+    elements.clearCacheBtn.addEventListener('click', async () => {
+        await chrome.runtime.sendMessage({ action: 'clearDetectionCache' });
+        await loadCacheStats();
+    });
+
     elements.resetBtn.addEventListener('click', async () => {
         if (confirm('Apakah Anda yakin ingin mengembalikan semua pengaturan ke default?')) {
-            await chrome.storage.sync.clear();
-            location.reload();
+            const response = await HalalVisionPin.request({ action: 'resetSettings' });
+            if (response && response.success) location.reload();
         }
     });
 
+    elements.savePinBtn.addEventListener('click', async () => {
+        const pin = elements.newPin.value;
+        if (!/^\d{4,}$/.test(pin)) {
+            alert('PIN harus terdiri dari minimal 4 angka.');
+            return;
+        }
+        if (pin !== elements.confirmPin.value) {
+            alert('PIN tidak sama.');
+            return;
+        }
+
+        // Changing an existing PIN needs the current one first
+        const response = await HalalVisionPin.request({ action: 'setPin', pin });
+        if (response && response.recoveryCode) {
+            elements.newPin.value = '';
+            elements.confirmPin.value = '';
+            elements.recoveryCode.textContent = response.recoveryCode;
+            elements.recoveryCodeBox.hidden = false;
+        } else if (response && response.error && response.error !== 'locked') {
+            alert(response.error);
+        }
+        await loadPinStatus();
+    });
+
+    elements.lockNowBtn.addEventListener('click', async () => {
+        await chrome.runtime.sendMessage({ action: 'lockPin' });
+        await loadPinStatus();
+    });
+
+    elements.removePinBtn.addEventListener('click', async () => {
+        if (!confirm('Hapus PIN? Perlindungan dapat dinonaktifkan tanpa PIN setelah ini.')) return;
+        await HalalVisionPin.request({ action: 'removePin' });
+        elements.recoveryCodeBox.hidden = true;
+        await loadPinStatus();
+    });
+
     elements.exportBtn.addEventListener('click', () => {
-        const data = JSON.stringify(settings, null, 2);
-        const blob = new Blob([data], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'halalvision-settings.json';
-        a.click();
-        URL.revokeObjectURL(url);
+        downloadFile('halalvision-settings.json', 'application/json', JSON.stringify(settings, null, 2));
     });
 
+    elements.statsRange.addEventListener('change', renderStats);
+
+    elements.editShortcutsBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+
+    // Pick up shortcuts changed on Chrome's page
+    window.addEventListener('focus', loadShortcuts);
+
+    // Pick up reports sent from a page while this one was in the background
+    window.addEventListener('focus', loadFeedbackReports);
+
+    elements.exportStatsCsvBtn.addEventListener('click', () => {
+        downloadFile('halalvision-stats.csv', 'text/csv', statsToCsv(statsHistory));
+    });
+
+    elements.exportStatsJsonBtn.addEventListener('click', () => {
+        downloadFile('halalvision-stats.json', 'application/json', JSON.stringify(statsHistory, null, 2));
+    });
+
+    // Only labeled reports make it into the dataset
+    elements.exportFeedbackBtn.addEventListener('click', () => {
+        const items = feedbackReports.filter(report => report.label);
+        if (items.length === 0) {
+            alert('Belum ada laporan yang diberi label.');
+            return;
+        }
+
+        const dataset = {
+            format: 'halalvision-feedback',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            items
+        };
+        downloadFile('halalvision-feedback.json', 'application/json', JSON.stringify(dataset, null, 2));
+    });
+
+    elements.clearFeedbackBtn.addEventListener('click', async () => {
+        if (feedbackReports.length === 0 || !confirm('Hapus semua laporan?')) return;
+        await chrome.runtime.sendMessage({ action: 'clearFeedbackReports' });
+        await loadFeedbackReports();
+    });
+
+    // Compact, length-capped form of a setting value for the import preview
+    function formatSettingValue(value) {
+        if (value === undefined) return '—';
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+    }
+
+    // Show what an import would change and what it skips; resolves with
+    // whether the user chose to apply it
+    function showImportPreview(next, errors) {
+        const changed = Object.keys(next).filter(key =>
+            key !== 'schemaVersion' && JSON.stringify(settings[key]) !== JSON.stringify(next[key]));
+
+        elements.importSummary.textContent = changed.length > 0
+            ? `${changed.length} pengaturan akan berubah.`
+            : 'Tidak ada pengaturan yang berubah.';
+
+        elements.importChanges.innerHTML = '';
+        changed.forEach(key => {
+            const row = document.createElement('tr');
+            [key, formatSettingValue(settings[key]), formatSettingValue(next[key])].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            elements.importChanges.appendChild(row);
+        });
+        elements.importChangesTable.hidden = changed.length === 0;
+
+        elements.importErrors.innerHTML = '';
+        errors.forEach(error => {
+            const li = document.createElement('li');
+            li.textContent = formatSettingErrors([error]);
+            elements.importErrors.appendChild(li);
+        });
+        elements.importErrorsBox.hidden = errors.length === 0;
+        elements.importApplyBtn.disabled = changed.length === 0;
+        elements.importPreview.hidden = false;
+
+        return new Promise(resolve => {
+            const close = (apply) => {
+                elements.importPreview.hidden = true;
+                elements.importApplyBtn.removeEventListener('click', onApply);
+                elements.importCancelBtn.removeEventListener('click', onCancel);
+                resolve(apply);
+            };
+            const onApply = () => close(true);
+            const onCancel = () => close(false);
+            elements.importApplyBtn.addEventListener('click', onApply);
+            elements.importCancelBtn.addEventListener('click', onCancel);
+        });
+    }
+
     elements.importBtn.addEventListener('click', () => {
         const input = document.createElement('input');
         input.type = 'file';
@@ -200,14 +1124,27 @@ document.addEventListener('DOMContentLoaded', async () => {
             if (file) {
                 const reader = new FileReader();
                 reader.onload = async (event) => {
+                    let imported;
                     try {
-                        const imported = JSON.parse(event.target.result);
-                        settings = { ...settings, ...imported };
-                        await saveSettings();
-                        updateUI();
-                        alert('Pengaturan berhasil diimport!');
+                        imported = JSON.parse(event.target.result);
                     } catch (error) {
                         alert('File tidak valid!');
+                        return;
+                    }
+
+                    // The service worker migrates files from older versions and
+                    // keeps only values that pass the settings schema
+                    const report = await chrome.runtime.sendMessage({
+                        action: 'validateSettings',
+                        settings: imported
+                    });
+                    const next = { ...settings, ...report.settings };
+                    if (!(await showImportPreview(next, report.errors))) return;
+
+                    settings = next;
+                    if (await saveSettings('import')) {
+                        updateUI();
+                        alert('Pengaturan berhasil diimport!');
                     }
                 };
                 reader.readAsText(file);
@@ -219,4 +1156,15 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Initialize
     loadSettings();
+    loadCacheStats();
+    loadStatsHistory();
+    loadShortcuts();
+    loadImageRules();
+    loadFeedbackReports();
+    loadPinStatus();
+
+    // Opened from a context menu action that needs the PIN
+    if (new URLSearchParams(location.search).get('locked') === 'true') {
+        HalalVisionPin.unlock('Masukkan PIN, lalu ulangi tindakan dari menu klik kanan.').then(loadPinStatus);
+    }
 });
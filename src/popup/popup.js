@@ -13,14 +13,27 @@ document.addEventListener('DOMContentLoaded', async () => {
     const blurValue = document.getElementById('blurValue');
     const imagesBlurred = document.getElementById('imagesBlurred');
     const videosBlurred = document.getElementById('videosBlurred');
+    const revealsCount = document.getElementById('revealsCount');
     const currentDomain = document.getElementById('currentDomain');
     const siteStatus = document.getElementById('siteStatus');
     const whitelistBtn = document.getElementById('whitelistBtn');
+    const blacklistBtn = document.getElementById('blacklistBtn');
     const refreshBtn = document.getElementById('refreshBtn');
+    const panicBtn = document.getElementById('panicBtn');
     const settingsBtn = document.getElementById('settingsBtn');
+    const siteOverrideToggle = document.getElementById('siteOverrideToggle');
+    const siteOverridePattern = document.getElementById('siteOverridePattern');
+    const siteOverrideControls = document.getElementById('siteOverrideControls');
+    const overrideInputs = siteOverrideControls.querySelectorAll('[data-override]');
+    const overrideBlurValue = document.getElementById('overrideBlurValue');
+
+    // Settings a site override can change from the popup
+    const SITE_OVERRIDE_KEYS = ['blurFaces', 'blurBodies', 'blurMen', 'blurWomen',
+        'processVideos', 'blurIntensity', 'performanceMode'];
 
     let settings = null;
     let currentTab = null;
+    let currentSiteStatus = null;
 
     // Load initial data
     async function initialize() {
@@ -78,47 +91,76 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (stats) {
             imagesBlurred.textContent = stats.imagesProcessed || 0;
             videosBlurred.textContent = stats.videosProcessed || 0;
+            revealsCount.textContent = stats.reveals || 0;
         }
     }
 
     async function checkWhitelistStatus() {
         if (currentTab && currentTab.url) {
-            try {
-                const url = new URL(currentTab.url);
-                const isWhitelisted = settings.whitelist?.includes(url.hostname);
+            currentSiteStatus = await chrome.runtime.sendMessage({
+                action: 'getSiteStatus',
+                url: currentTab.url
+            });
 
-                if (isWhitelisted) {
-                    siteStatus.textContent = 'Whitelist';
-                    siteStatus.classList.add('whitelisted');
-                    whitelistBtn.innerHTML = '<span>➖</span> Hapus';
-                } else {
-                    siteStatus.textContent = 'Diproses';
-                    siteStatus.classList.remove('whitelisted');
-                    whitelistBtn.innerHTML = '<span>➕</span> Whitelist';
-                }
-            } catch {
-                // Invalid URL
+            siteStatus.classList.remove('whitelisted', 'blacklisted');
+            if (currentSiteStatus.isBlacklisted) {
+                siteStatus.textContent = 'Ketat';
+                siteStatus.classList.add('blacklisted');
+            } else if (currentSiteStatus.isWhitelisted) {
+                siteStatus.textContent = 'Whitelist';
+                siteStatus.classList.add('whitelisted');
+            } else if (currentSiteStatus.overridePattern) {
+                siteStatus.textContent = 'Khusus';
+            } else {
+                siteStatus.textContent = 'Diproses';
             }
+
+            whitelistBtn.innerHTML = currentSiteStatus.whitelistMatches.length > 0
+                ? '<span>➖</span> Whitelist'
+                : '<span>➕</span> Whitelist';
+            blacklistBtn.innerHTML = currentSiteStatus.blacklistMatches.length > 0
+                ? '<span>➖</span> Blacklist'
+                : '<span>➕</span> Blacklist';
         }
+
+        updateSiteOverride();
+    }
+
+    function updateSiteOverride() {
+        const pattern = currentSiteStatus?.overridePattern;
+        const override = pattern ? settings.siteOverrides[pattern] : null;
+
+        siteOverrideToggle.checked = Boolean(override);
+        siteOverrideToggle.disabled = !/^https?:/.test(currentTab?.url || '');
+        siteOverrideControls.hidden = !override;
+        siteOverridePattern.textContent = override ? `Berlaku untuk: ${pattern}` : '';
+        if (!override) return;
+
+        const effective = { ...settings, ...override };
+        overrideInputs.forEach(input => {
+            const key = input.dataset.override;
+            if (input.type === 'checkbox') {
+                input.checked = effective[key];
+            } else {
+                input.value = effective[key];
+            }
+        });
+        overrideBlurValue.textContent = effective.blurIntensity;
     }
 
+    // Returns false if the change was refused (PIN lock) and the UI was reverted
     async function saveSettings() {
-        await chrome.runtime.sendMessage({
+        const response = await HalalVisionPin.request({
             action: 'updateSettings',
             settings
         });
-
-        // Notify content script
-        if (currentTab) {
-            try {
-                await chrome.tabs.sendMessage(currentTab.id, {
-                    action: 'settingsUpdated',
-                    settings
-                });
-            } catch {
-                // Content script might not be ready
-            }
+        if (!response || response.error) {
+            await initialize();
+            return false;
         }
+
+        // Content scripts reload from the storage change
+        return true;
     }
 
     // Event Listeners
@@ -162,23 +204,25 @@ document.addEventListener('DOMContentLoaded', async () => {
         await saveSettings();
     });
 
-    whitelistBtn.addEventListener('click', async () => {
+    // Toggle the current site in a site list. Removing drops every pattern that
+    // covers this page (e.g. "*.example.com"), not only the exact hostname.
+    async function toggleSiteInList(listName) {
         if (currentTab && currentTab.url) {
             try {
                 const url = new URL(currentTab.url);
-                const domain = url.hostname;
-                const index = settings.whitelist?.indexOf(domain) ?? -1;
+                const domain = url.hostname.replace(/^www\./, '');
+                const matches = currentSiteStatus?.[listName === 'whitelist' ? 'whitelistMatches' : 'blacklistMatches'] || [];
 
-                if (index > -1) {
-                    // Remove from whitelist
-                    settings.whitelist.splice(index, 1);
+                if (!settings[listName]) settings[listName] = [];
+                if (matches.length > 0) {
+                    // Remove from list
+                    settings[listName] = settings[listName].filter(site => !matches.includes(site));
                 } else {
-                    // Add to whitelist
-                    if (!settings.whitelist) settings.whitelist = [];
-                    settings.whitelist.push(domain);
+                    // Add to list
+                    settings[listName].push(domain);
                 }
 
-                await saveSettings();
+                if (!(await saveSettings())) return;
                 await checkWhitelistStatus();
 
                 // Refresh page to apply changes
@@ -187,6 +231,53 @@ document.addEventListener('DOMContentLoaded', async () => {
                 // Invalid URL
             }
         }
+    }
+
+    // A new override starts from the global values for this domain
+    siteOverrideToggle.addEventListener('change', async () => {
+        const pattern = currentSiteStatus?.overridePattern;
+        const siteOverrides = { ...(settings.siteOverrides || {}) };
+
+        if (siteOverrideToggle.checked) {
+            const domain = new URL(currentTab.url).hostname.replace(/^www\./, '');
+            siteOverrides[domain] = Object.fromEntries(SITE_OVERRIDE_KEYS.map(key => [key, settings[key]]));
+        } else if (pattern) {
+            delete siteOverrides[pattern];
+        }
+
+        settings.siteOverrides = siteOverrides;
+        if (!(await saveSettings())) return;
+        await checkWhitelistStatus();
+    });
+
+    overrideInputs.forEach(input => {
+        const key = input.dataset.override;
+        if (input.type === 'range') {
+            input.addEventListener('input', () => {
+                overrideBlurValue.textContent = input.value;
+            });
+        }
+
+        input.addEventListener('change', async () => {
+            const pattern = currentSiteStatus?.overridePattern;
+            if (!pattern) return;
+
+            const value = input.type === 'checkbox' ? input.checked
+                : input.type === 'range' ? parseInt(input.value) : input.value;
+            settings.siteOverrides = {
+                ...settings.siteOverrides,
+                [pattern]: { ...settings.siteOverrides[pattern], [key]: value }
+            };
+            await saveSettings();
+        });
+    });
+
+    whitelistBtn.addEventListener('click', async () => {
+        await toggleSiteInList('whitelist');
+    });
+
+    blacklistBtn.addEventListener('click', async () => {
+        await toggleSiteInList('blacklist');
     });
 
     refreshBtn.addEventListener('click', () => {
@@ -196,6 +287,13 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    panicBtn.addEventListener('click', async () => {
+        if (currentTab) {
+            await chrome.runtime.sendMessage({ action: 'panic', tabId: currentTab.id });
+            window.close();
+        }
+    });
+
     settingsBtn.addEventListener('click', () => {
         chrome.runtime.openOptionsPage();
     });
@@ -0,0 +1,114 @@
+// PIN Dialog
+// Shared by the popup and options pages. When the service worker refuses a
+// change with { error: 'locked' }, this asks for the PIN (or the recovery code
+// and a new PIN) and retries the request once unlocked.
+
+const HalalVisionPin = (() => {
+    function formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' });
+    }
+
+    function describeFailure(result) {
+        if (result.lockedUntil) {
+            return `Terlalu banyak percobaan salah. Coba lagi pukul ${formatTime(result.lockedUntil)}.`;
+        }
+        if (result.error) {
+            return result.error;
+        }
+        return `Salah. Sisa percobaan: ${result.attemptsLeft}`;
+    }
+
+    // Resolves true once unlocked, false if the user cancels
+    function unlock(message = 'Perubahan ini mengurangi perlindungan dan memerlukan PIN.') {
+        return new Promise((resolve) => {
+            const backdrop = document.createElement('div');
+            backdrop.className = 'hv-pin-backdrop';
+            backdrop.innerHTML = `
+                <form class="hv-pin-dialog">
+                    <h3>🔒 PIN Diperlukan</h3>
+                    <p class="hv-pin-message"></p>
+                    <div class="hv-pin-unlock">
+                        <input type="password" name="pin" inputmode="numeric" autocomplete="off" placeholder="PIN">
+                    </div>
+                    <div class="hv-pin-recover" hidden>
+                        <input type="text" name="recoveryCode" autocomplete="off" placeholder="Kode pemulihan (XXXX-XXXX-XXXX)">
+                        <input type="password" name="newPin" inputmode="numeric" autocomplete="off" placeholder="PIN baru">
+                    </div>
+                    <p class="hv-pin-error"></p>
+                    <div class="hv-pin-actions">
+                        <button type="button" class="hv-pin-link" data-action="recover">Lupa PIN?</button>
+                        <button type="button" data-action="cancel">Batal</button>
+                        <button type="submit" class="hv-pin-primary">Buka</button>
+                    </div>
+                </form>
+            `;
+
+            const form = backdrop.querySelector('form');
+            const error = backdrop.querySelector('.hv-pin-error');
+            const unlockFields = backdrop.querySelector('.hv-pin-unlock');
+            const recoverFields = backdrop.querySelector('.hv-pin-recover');
+            backdrop.querySelector('.hv-pin-message').textContent = message;
+            let recovering = false;
+
+            const close = (result) => {
+                backdrop.remove();
+                resolve(result);
+            };
+
+            form.addEventListener('click', (e) => {
+                const action = e.target.dataset.action;
+                if (action === 'cancel') {
+                    close(false);
+                } else if (action === 'recover') {
+                    recovering = !recovering;
+                    unlockFields.hidden = recovering;
+                    recoverFields.hidden = !recovering;
+                    e.target.textContent = recovering ? 'Pakai PIN' : 'Lupa PIN?';
+                    error.textContent = '';
+                }
+            });
+
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                error.textContent = '';
+
+                if (!recovering) {
+                    const result = await chrome.runtime.sendMessage({ action: 'verifyPin', pin: form.pin.value });
+                    if (result.success) {
+                        close(true);
+                    } else {
+                        error.textContent = describeFailure(result);
+                        form.pin.value = '';
+                    }
+                    return;
+                }
+
+                const result = await chrome.runtime.sendMessage({
+                    action: 'recoverPin',
+                    recoveryCode: form.recoveryCode.value,
+                    pin: form.newPin.value
+                });
+                if (result.success) {
+                    alert(`PIN baru tersimpan.\n\nKode pemulihan baru Anda:\n${result.recoveryCode}\n\nSimpan kode ini di tempat aman.`);
+                    close(true);
+                } else {
+                    error.textContent = describeFailure(result);
+                }
+            });
+
+            document.body.appendChild(backdrop);
+            form.pin.focus();
+        });
+    }
+
+    // Send a message to the service worker, asking for the PIN if it is locked
+    async function request(message) {
+        let response = await chrome.runtime.sendMessage(message);
+        if (response && response.error === 'locked' && await unlock()) {
+            response = await chrome.runtime.sendMessage(message);
+        }
+        return response;
+    }
+
+    return { unlock, request };
+})();